@@ -0,0 +1,200 @@
+/**
+ * Default configuration settings for the Loan Offer API service
+ * Environment files, the local override file and environment variables are
+ * deep-merged over these by the loader (see config/loader.js)
+ */
+
+const path = require("path");
+
+// Defaults shared by every environment
+const defaults = {
+  // Server settings
+  server: {
+    port: 3000,
+    baseUrl: "http://localhost:3000"
+  },
+  
+  // API endpoints
+  endpoints: {
+    loanOffer: "/fkApiServices.do?action=loanOffer"
+  },
+  
+  // Status codes
+  statusCodes: {
+    success: "SR",  // Success response
+    error: "ER"     // Error response
+  },
+  
+  // Error codes
+  errorCodes: {
+    invalidToken: "E001",
+    missingParameters: "E002",
+    invalidLoanAmount: "E003",
+    invalidTenure: "E004",
+    idempotencyConflict: "E005",
+    invalidRoi: "E006",
+    invalidFormat: "E007",
+    invalidType: "E008",
+    invalidValue: "E009",
+    invalidRedirectUrl: "E010",
+    invalidProduct: "E011",
+    signatureMissing: "E012",
+    signatureInvalid: "E013",
+    signatureExpired: "E014",
+    nonceReplayed: "E015",
+    invalidOfferState: "E016",
+    invalidTransition: "E017",
+    forbidden: "E403",
+    rateLimitExceeded: "E429",
+    notFound: "E404",
+    conflict: "E409",
+    serverError: "E999"
+  },
+  
+  // Logging settings
+  debug: false,
+  logLevel: "info",
+  
+  // Auth settings
+  auth: {
+    tokenExpiryTime: 3600, // seconds
+    // Required; set TOKEN_SECRET or provide it in an environment/local file
+    tokenSecret: null,
+    // Secrets being rotated out; tokens they signed stay valid until validUntil (ISO date)
+    previousSecrets: [],
+    // Internal API clients (e.g. admin tools) allowed to request tokens, as
+    // { clientId, clientSecret, roles, scopes }. Partner clients are kept in
+    // the partner registry
+    clients: [],
+    // Scopes granted by each role; "*" at the end of a scope matches any suffix
+    roles: {
+      partner: ["loan:offer", "loan:validate", "loan:read"],
+      admin: ["admin:*", "loan:read"]
+    }
+  },
+  
+  // Loan processing settings
+  loan: {
+    minAmount: 10000,
+    maxAmount: 10000000,
+    minTenure: 3,   // months
+    maxTenure: 84,  // months
+    minRoi: 5.5,    // percentage
+    maxRoi: 24.0,   // percentage
+    // One of: reducingMonthly, flatRate, dailyReducing, zeroCost
+    defaultInterestMethod: "reducingMonthly",
+    // Hours a CREATED offer stays open, for products that set no offerTtlHours
+    offerTtlHours: 72,
+    expirySweepIntervalMs: 60 * 1000,
+    // Limits on non-level repayment structures
+    structures: {
+      moratorium: {
+        maxMonths: 12,
+        types: ["interestOnly", "fullDeferral"]
+      },
+      step: {
+        maxPercent: 25,    // change per step, percentage
+        minEveryMonths: 6  // months between steps
+      },
+      balloon: {
+        maxPercent: 30     // of the loan amount
+      }
+    }
+  },
+  
+  // Rate limiting settings
+  rateLimit: {
+    store: "memory",
+    windowMs: 60 * 1000,
+    // Requests allowed per window, by route and caller tier. Anonymous
+    // callers are limited per IP; authenticated ones per user. Routes
+    // without their own entry, or missing a tier, fall back to "default"
+    routes: {
+      default: { anonymous: 30, standard: 60, premium: 300 },
+      loanOffer: { standard: 30, premium: 120 },
+      calculate: { anonymous: 20 },
+      authToken: { anonymous: 10 }
+    }
+  },
+  
+  // Loan product catalog settings
+  products: {
+    // JSON or YAML file with a "products" list; see config/products.json.
+    // Requests without a productCode are checked against config.loan
+    catalogFile: path.join(__dirname, "products.json")
+  },
+  
+  // Partners seeded into the partner registry at startup, each with its API
+  // clients, allowed actions, product codes, rate tier, ID formats, redirect
+  // allowlist and signing, request signing and webhook settings (see
+  // schemas/partnerSchemas.js). Partners are then managed through
+  // /api/admin/partners
+  partners: [],
+  
+  // Request signing settings; each partner's secret is in the partner registry
+  requestSigning: {
+    maxSkewSeconds: 300,  // allowed clock difference for X-Timestamp
+    nonceTtlSeconds: 600, // how long an X-Nonce stays used
+    nonceStore: "memory"
+  },
+  
+  // Partner webhook settings; each partner's callback is in the partner registry
+  webhooks: {
+    maxAttempts: 8,
+    initialBackoffMs: 30 * 1000,   // doubles after each failed attempt
+    maxBackoffMs: 60 * 60 * 1000,
+    timeoutMs: 10 * 1000,
+    dispatchIntervalMs: 5 * 1000
+  },
+  
+  // Repayment calendar settings
+  calendar: {
+    // JSON array of { date: "YYYY-MM-DD", name } entries
+    holidayFile: path.join(__dirname, "holidays.json"),
+    weekendDays: [0, 6], // Sunday, Saturday
+    // Due dates falling on a weekend or holiday move to the next business day
+    // ("following") or the previous one ("preceding")
+    businessDayShift: "following"
+  },
+  
+  // Reverse calculators (/api/loan/calculate/max-amount, /tenure, /grid)
+  calculators: {
+    grid: {
+      // Options offered when a grid request lists none
+      downpaymentPercents: [10, 20, 30],
+      tenures: [12, 24, 36],
+      // Most downpayments or tenures one grid request may list
+      maxOptions: 12
+    }
+  },
+  
+  // CSV and HTML exports of /api/loan/calculate, chosen with ?format= or the
+  // Accept header
+  scheduleExport: {
+    // Locale for numbers and dates when a request names none (?locale=)
+    locale: "en-IN",
+    currency: "INR",
+    csv: {
+      // Default columns when a request names none (?columns=)
+      columns: ["month", "dueDate", "emi", "principalPaid", "interestPaid", "balance"],
+      delimiter: ",", // ",", ";" or "\t"
+      // Thousands separators make amounts harder to re-import into spreadsheets
+      grouping: false
+    }
+  },
+  
+  // Portfolio statistics settings
+  stats: {
+    // Upper bounds (inclusive) of the buckets used for grouping and distributions
+    tenureBuckets: [12, 24, 36, 48, 60, 84],  // months
+    roiBuckets: [8, 10, 12, 14, 16, 18, 20, 24] // percentage
+  },
+  
+  // Storage settings
+  storage: {
+    driver: "memory", // "memory" or "file"
+    dataDir: "./data"
+  }
+};
+
+module.exports = defaults;
\ No newline at end of file
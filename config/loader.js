@@ -0,0 +1,196 @@
+/**
+ * Layered configuration loader
+ * 
+ * Configuration is built from four layers, each deep-merged over the last:
+ *   1. config/defaults.js
+ *   2. config/environments/<NODE_ENV>.json
+ *   3. config/local.json (untracked, for per-machine overrides)
+ *   4. environment variables (including those from a .env file)
+ * Plain objects are merged key by key; arrays and other values replace what
+ * is below them. The result is validated against the config schema, and
+ * loading fails with every problem listed if it does not conform.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const defaults = require("./defaults");
+const { configSchema } = require("../schemas/configSchema");
+
+const LOCAL_FILE = path.join(__dirname, "local.json");
+
+// Environment variables and the config paths they set
+const ENVIRONMENT_VARIABLES = [
+  { name: "PORT", path: "server.port" },
+  { name: "BASE_URL", path: "server.baseUrl" },
+  { name: "LOG_LEVEL", path: "logLevel" },
+  { name: "TOKEN_SECRET", path: "auth.tokenSecret" },
+  {
+    name: "TOKEN_PREVIOUS_SECRET",
+    path: "auth.previousSecrets",
+    parse: (value, env) => [
+      { secret: value, validUntil: env.TOKEN_PREVIOUS_SECRET_VALID_UNTIL || null }
+    ]
+  },
+  { name: "AUTH_CLIENTS", path: "auth.clients", parse: (value) => JSON.parse(value) },
+  { name: "PARTNERS", path: "partners", parse: (value) => JSON.parse(value) },
+  { name: "RATE_LIMIT_STORE", path: "rateLimit.store" },
+  { name: "PRODUCT_CATALOG_FILE", path: "products.catalogFile" },
+  { name: "HOLIDAY_CALENDAR_FILE", path: "calendar.holidayFile" },
+  { name: "STORAGE_DRIVER", path: "storage.driver" },
+  { name: "STORAGE_DATA_DIR", path: "storage.dataDir" }
+];
+
+// Keys whose values are withheld from the redacted view
+const SECRET_KEY_PATTERN = /secret|password/i;
+
+/**
+ * Checks whether a value is a plain object (and so merged key by key)
+ * 
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a plain object
+ */
+const isPlainObject = (value) => {
+  return Object.prototype.toString.call(value) === "[object Object]";
+};
+
+/**
+ * Deep-merges one configuration layer over another without modifying either
+ * 
+ * @param {Object} base - Lower layer
+ * @param {Object} override - Higher layer
+ * @returns {Object} Merged configuration
+ */
+const deepMerge = (base, override) => {
+  const merged = { ...base };
+  
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  });
+  
+  return merged;
+};
+
+/**
+ * Reads a JSON layer file, if it exists
+ * 
+ * @param {String} file - Path of the layer file
+ * @returns {Object} Parsed layer, or an empty layer when the file is absent
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+const readLayerFile = (file) => {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid configuration file ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Builds the layer set by environment variables
+ * 
+ * @param {Object} env - Environment variables
+ * @returns {Object} Layer with a value for each variable that is set
+ * @throws {Error} If a variable cannot be parsed
+ */
+const environmentLayer = (env) => {
+  return ENVIRONMENT_VARIABLES.reduce((layer, variable) => {
+    if (env[variable.name] === undefined || env[variable.name] === "") {
+      return layer;
+    }
+    
+    let value;
+    
+    try {
+      value = variable.parse ? variable.parse(env[variable.name], env) : env[variable.name];
+    } catch (error) {
+      throw new Error(`Invalid value for environment variable ${variable.name}: ${error.message}`);
+    }
+    
+    const keys = variable.path.split(".");
+    const nested = keys.reduceRight((child, key) => ({ [key]: child }), value);
+    
+    return deepMerge(layer, nested);
+  }, {});
+};
+
+/**
+ * Loads, merges and validates the configuration
+ * 
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Validated configuration
+ * @throws {Error} If a layer is unreadable or the result fails validation
+ */
+const loadConfig = (env = process.env) => {
+  if (env === process.env) {
+    dotenv.config();
+  }
+  
+  const environment = env.NODE_ENV || "development";
+  const layers = [
+    defaults,
+    readLayerFile(path.join(__dirname, "environments", `${environment}.json`)),
+    readLayerFile(LOCAL_FILE),
+    environmentLayer(env),
+    { environment }
+  ];
+  
+  const merged = layers.reduce(deepMerge, {});
+  const { error, value } = configSchema.validate(merged, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+  
+  if (error) {
+    const problems = error.details.map((detail) => `  - ${detail.path.join(".")}: ${detail.message}`);
+    
+    throw new Error(
+      `Invalid configuration for environment "${environment}":\n${problems.join("\n")}`
+    );
+  }
+  
+  return value;
+};
+
+/**
+ * Returns a copy of the configuration that is safe to display, with secrets
+ * withheld and regular expressions shown as their source
+ * 
+ * @param {*} value - Configuration, or a part of it
+ * @returns {*} Redacted copy
+ */
+const redactConfig = (value) => {
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(redactConfig);
+  }
+  
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) && typeof child === "string" ? "[REDACTED]" : redactConfig(child)
+    ])
+  );
+};
+
+module.exports = {
+  loadConfig,
+  redactConfig
+};
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Controller for admin-only reporting endpoints
+ */
+
+const statsService = require("../services/statsService");
+const productService = require("../services/productService");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const config = require("../config/config");
+const { redactConfig } = require("../config/loader");
+const {
+  parseDateParam,
+  parseEndDateParam,
+  parseEnumParam,
+  findInvalidParam
+} = require("../utils/queryParams");
+
+/**
+ * Return portfolio statistics computed from processed offers
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLoanStats = (req, res) => {
+  try {
+    const filters = {
+      from: parseDateParam(req.query.from),
+      to: parseEndDateParam(req.query.to),
+      partner: req.query.partner || undefined,
+      status: parseEnumParam(req.query.status, statsService.STATUSES),
+      groupBy: parseEnumParam(req.query.groupBy, statsService.GROUP_BY_OPTIONS)
+    };
+    
+    const invalidParam = findInvalidParam(filters);
+    
+    if (invalidParam) {
+      return res.status(400).json(
+        responseHelper.validationError(`Invalid value for query parameter: ${invalidParam}`)
+      );
+    }
+    
+    return res.status(200).json(
+      responseHelper.successResponse(statsService.computeLoanStats(filters))
+    );
+    
+  } catch (error) {
+    logger.error("Error computing loan stats", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Return the loan products in the catalog
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listProducts = (req, res) => {
+  try {
+    return res.status(200).json(
+      responseHelper.successResponse(productService.listProducts())
+    );
+    
+  } catch (error) {
+    logger.error("Error listing products", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Reload the product catalog from its file without restarting
+ * An invalid file is reported and the current catalog stays in effect
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reloadProducts = (req, res) => {
+  try {
+    let catalog;
+    
+    try {
+      catalog = productService.reloadCatalog();
+    } catch (error) {
+      return res.status(400).json(
+        responseHelper.errorResponse(
+          config.errorCodes.invalidValue,
+          `Product catalog was not reloaded: ${error.message}`
+        )
+      );
+    }
+    
+    return res.status(200).json(responseHelper.successResponse(catalog));
+    
+  } catch (error) {
+    logger.error("Error reloading product catalog", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Return the effective configuration with secrets redacted
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getConfig = (req, res) => {
+  try {
+    return res.status(200).json(
+      responseHelper.successResponse({
+        environment: config.environment,
+        config: redactConfig(config)
+      })
+    );
+    
+  } catch (error) {
+    logger.error("Error reading configuration", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+module.exports = {
+  getLoanStats,
+  listProducts,
+  reloadProducts,
+  getConfig
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Controller for querying and verifying the audit trail
+ */
+
+const auditService = require("../services/auditService");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const {
+  parseNumberParam,
+  parseDateParam,
+  parseEndDateParam,
+  parseEnumParam,
+  findInvalidParam,
+  findPagingViolation
+} = require("../utils/queryParams");
+
+/**
+ * Return audit entries, filtered by action, principal, partner, decision,
+ * error code and date range (from/to), with paging
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const queryAuditLog = (req, res) => {
+  try {
+    const filters = {
+      action: req.query.action || undefined,
+      principal: req.query.principal || undefined,
+      partner: req.query.partner || undefined,
+      decision: parseEnumParam(req.query.decision, ["ACCEPTED", "REJECTED"]),
+      errorCode: req.query.errorCode || undefined,
+      from: parseDateParam(req.query.from),
+      to: parseEndDateParam(req.query.to),
+      limit: parseNumberParam(req.query.limit),
+      offset: parseNumberParam(req.query.offset)
+    };
+    
+    const invalidParam = findInvalidParam(filters);
+    
+    if (invalidParam) {
+      return res.status(400).json(
+        responseHelper.validationError(`Invalid value for query parameter: ${invalidParam}`)
+      );
+    }
+    
+    // The limit bounds how much of the chain is read
+    const pagingViolation = findPagingViolation(filters);
+    
+    if (pagingViolation) {
+      return res.status(400).json(
+        responseHelper.errorResponse(pagingViolation.errorCode, pagingViolation.message)
+      );
+    }
+    
+    const result = auditService.queryEntries(filters);
+    
+    return res.status(200).json(
+      responseHelper.successResponse({
+        total: result.total,
+        limit: filters.limit || 50,
+        offset: filters.offset || 0,
+        entries: result.entries
+      })
+    );
+    
+  } catch (error) {
+    logger.error("Error querying audit log", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Verify the hash chain of the whole audit trail
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyAuditLog = (req, res) => {
+  try {
+    return res.status(200).json(
+      responseHelper.successResponse(auditService.verifyChain())
+    );
+    
+  } catch (error) {
+    logger.error("Error verifying audit log", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+module.exports = {
+  queryAuditLog,
+  verifyAuditLog
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Controller for token issuance and revocation
+ */
+
+const tokenService = require("../services/tokenService");
+const permissionService = require("../services/permissionService");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const { validatePayload } = require("../utils/schemaValidator");
+const { issueTokenSchema, revokeTokenSchema } = require("../schemas/authSchemas");
+
+/**
+ * Issue an access token using the client credentials grant
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const issueToken = (req, res) => {
+  try {
+    const validation = validatePayload(issueTokenSchema, req.body || {});
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const { clientId, clientSecret } = validation.value;
+    
+    const client = tokenService.authenticateClient(clientId, clientSecret);
+    
+    if (!client) {
+      return res.status(401).json(
+        responseHelper.authError("Invalid client credentials")
+      );
+    }
+    
+    const issued = tokenService.issueToken({
+      subject: client.clientId,
+      partner: client.partner,
+      roles: client.roles,
+      scopes: client.scopes
+    });
+    
+    return res.status(200).json(
+      responseHelper.successResponse({
+        token: issued.token,
+        tokenType: "Bearer",
+        expiresIn: issued.expiresIn,
+        expiresAt: issued.expiresAt,
+        roles: issued.payload.roles,
+        scopes: permissionService.resolveScopes(issued.payload.roles, issued.payload.scopes)
+      })
+    );
+    
+  } catch (error) {
+    logger.error("Error issuing token", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Revoke a token previously issued to the calling client
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeToken = (req, res) => {
+  try {
+    const validation = validatePayload(revokeTokenSchema, req.body || {});
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const { clientId, clientSecret, token } = validation.value;
+    
+    const client = tokenService.authenticateClient(clientId, clientSecret);
+    
+    if (!client) {
+      return res.status(401).json(
+        responseHelper.authError("Invalid client credentials")
+      );
+    }
+    
+    const payload = tokenService.verifyToken(token);
+    
+    // A client may only revoke its own tokens
+    if (!payload || payload.sub !== client.clientId) {
+      return res.status(400).json(
+        responseHelper.authError("Token is invalid or was not issued to this client")
+      );
+    }
+    
+    tokenService.revokeToken(payload);
+    
+    return res.status(200).json(
+      responseHelper.successResponse({ revoked: true })
+    );
+    
+  } catch (error) {
+    logger.error("Error revoking token", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+module.exports = {
+  issueToken,
+  revokeToken
+};
\ No newline at end of file
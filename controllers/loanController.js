@@ -3,7 +3,94 @@
  */
 
 const loanService = require("../services/loanService");
+const prepaymentService = require("../services/prepaymentService");
+const aprService = require("../services/aprService");
+const scheduleExportService = require("../services/scheduleExportService");
+const affordabilityService = require("../services/affordabilityService");
+const productService = require("../services/productService");
 const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const { validatePayload } = require("../utils/schemaValidator");
+const {
+  loanStatusSchema,
+  cancelOfferSchema,
+  updateOfferSchema,
+  updateOfferStatusSchema,
+  calculateSchemaFor,
+  maxLoanAmountSchema,
+  requiredTenureSchema,
+  optionsGridSchema
+} = require("../schemas/loanSchemas");
+const { EXPORT_FORMATS, exportQuerySchema } = require("../schemas/exportSchemas");
+const config = require("../config/config");
+
+// HTTP statuses for service error codes that should not be a plain 400
+const errorHttpStatus = {
+  [config.errorCodes.idempotencyConflict]: 409,
+  [config.errorCodes.invalidOfferState]: 409,
+  [config.errorCodes.invalidTransition]: 409,
+  [config.errorCodes.conflict]: 409,
+  [config.errorCodes.notFound]: 404
+};
+
+/**
+ * Determines the HTTP status of a service response
+ * 
+ * @param {Object} response - SR/ER response from the service layer
+ * @returns {Number} HTTP status
+ */
+const httpStatusOf = (response) => {
+  return response.statusCode === config.statusCodes.success
+    ? 200
+    : errorHttpStatus[response.data.errorCode] || 400;
+};
+
+/**
+ * Creates a handler for an fkApiServices.do action that works on a stored
+ * offer: validates the request data, then passes it to the service
+ * 
+ * @param {Object} schema - Joi schema for the request data
+ * @param {Function} serviceFn - loanService function taking (data, context)
+ * @param {String} description - Action description for log lines
+ * @returns {Function} Express handler
+ */
+const offerActionHandler = (schema, serviceFn, description) => (req, res) => {
+  try {
+    const data = req.body && req.body.data;
+    
+    if (!data) {
+      return res.status(400).json(
+        responseHelper.validationError("Request data is missing")
+      );
+    }
+    
+    const validation = validatePayload(schema, data, { pathPrefix: "data" });
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const response = serviceFn(validation.value, {
+      userId: req.user ? req.user.id : null,
+      partner: req.user ? req.user.partner : null
+    });
+    
+    logger.info(`${description} processed`, {
+      orderId: validation.value.orderId,
+      transactionId: validation.value.transactionId,
+      statusCode: response.statusCode,
+      errorCode: response.data.errorCode || undefined
+    });
+    
+    return res.status(httpStatusOf(response)).json(response);
+    
+  } catch (error) {
+    logger.error(`Error in ${description} controller`, { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
 
 /**
  * Handle the POST request for loan offer
@@ -19,34 +106,106 @@ const processLoanOfferRequest = (req, res) => {
         responseHelper.validationError("Request body is missing")
       );
     }
-
+    
     // Extract request data
     const { token, data } = req.body;
-
+    
     // Validate basic request structure
     if (!token) {
       return res.status(401).json(
         responseHelper.authError("Authentication token is missing")
       );
     }
-
+    
     if (!data) {
       return res.status(400).json(
         responseHelper.validationError("Loan request data is missing")
       );
     }
-
+    
     // Process the loan offer request using the service layer
-    const response = loanService.processLoanOffer(req.body);
+    const response = loanService.processLoanOffer(req.body, {
+      userId: req.user ? req.user.id : null,
+      partner: req.user ? req.user.partner : null,
+      ip: req.ip,
+      userAgent: req.get("user-agent")
+    });
     
     // Determine HTTP status based on response
-    const httpStatus = response.statusCode === "SR" ? 200 : 400;
+    const httpStatus = httpStatusOf(response);
+    
+    logger.info("Loan offer processed", {
+      orderId: data.orderId,
+      transactionId: data.transactionId,
+      tvsTransactionId: data.tvsTransactionId,
+      statusCode: response.statusCode,
+      errorCode: response.data.errorCode || undefined,
+      redirectionURL: response.data.redirectionURL || undefined
+    });
     
     // Send response
     return res.status(httpStatus).json(response);
     
   } catch (error) {
-    console.error("Error in loan offer controller:", error);
+    logger.error("Error in loan offer controller", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Handle the POST request for loan status (action=loanStatus)
+ */
+const loanStatusRequest = offerActionHandler(
+  loanStatusSchema, loanService.getOfferStatus, "Loan status"
+);
+
+/**
+ * Handle the POST request to cancel an offer (action=cancelOffer)
+ */
+const cancelOfferRequest = offerActionHandler(
+  cancelOfferSchema, loanService.cancelOffer, "Offer cancellation"
+);
+
+/**
+ * Handle the POST request to amend an offer (action=updateOffer)
+ */
+const updateOfferRequest = offerActionHandler(
+  updateOfferSchema, loanService.updateOffer, "Offer update"
+);
+
+/**
+ * Handle the admin request to move an offer to a new state, such as the
+ * lender accepting, disbursing or rejecting it
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateOfferStatusRequest = (req, res) => {
+  try {
+    const validation = validatePayload(updateOfferStatusSchema, req.body || {});
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const response = loanService.updateOfferStatus(
+      { ...validation.value, orderId: req.params.orderId },
+      { userId: req.user ? req.user.id : null }
+    );
+    
+    logger.info("Offer status update processed", {
+      orderId: req.params.orderId,
+      status: validation.value.status,
+      statusCode: response.statusCode,
+      errorCode: response.data.errorCode || undefined
+    });
+    
+    return res.status(httpStatusOf(response)).json(response);
+    
+  } catch (error) {
+    logger.error("Error in offer status update controller", { error });
     return res.status(500).json(responseHelper.serverError(error));
   }
 };
@@ -69,11 +228,11 @@ const validateLoanDetails = (req, res) => {
     }
     
     // Validate the loan request data
-    const validationResult = loanService.validateLoanRequest(data);
+    const validationResult = loanService.validateLoanRequest(data, req.partner);
     
     if (!validationResult.isValid) {
       return res.status(400).json(
-        responseHelper.errorResponse(validationResult.errorCode, validationResult.message)
+        responseHelper.fieldValidationError(validationResult.fieldErrors)
       );
     }
     
@@ -86,66 +245,231 @@ const validateLoanDetails = (req, res) => {
     );
     
   } catch (error) {
-    console.error("Error validating loan details:", error);
+    logger.error("Error validating loan details", { error });
     return res.status(500).json(responseHelper.serverError(error));
   }
 };
 
+/**
+ * Picks the format of a calculate response: ?format= when given, otherwise
+ * the best match for the Accept header (JSON when there is none)
+ * 
+ * @param {Object} req - Express request object
+ * @param {String} requested - format query parameter
+ * @returns {String|null} Key of EXPORT_FORMATS, or null if no supported
+ *   format was asked for
+ */
+const responseFormatOf = (req, requested) => {
+  const formats = Object.keys(EXPORT_FORMATS);
+  
+  if (requested) {
+    return formats.includes(requested) ? requested : null;
+  }
+  
+  const accepted = req.accepts(Object.values(EXPORT_FORMATS));
+  
+  return formats.find((key) => EXPORT_FORMATS[key] === accepted) || null;
+};
+
 /**
  * Calculate loan EMI and generate amortization schedule
+ * The request is held to the rules of the product named by productCode, or
+ * to config.loan when none is named. Responds with JSON, a CSV schedule or
+ * a printable HTML repayment plan, chosen with ?format=json|csv|html or the
+ * Accept header (406 for any other format); CSV columns
+ * (?columns=month,emi,...) and number locale (?locale=) can be chosen too
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const calculateLoanDetails = (req, res) => {
   try {
-    const { loanAmount, roi, tenure } = req.body;
+    res.vary("Accept");
+    
+    // columns arrives comma-separated
+    const exportValidation = validatePayload(exportQuerySchema, {
+      ...req.query,
+      ...(typeof req.query.columns === "string"
+        ? { columns: req.query.columns.split(",").map((column) => column.trim()) }
+        : {})
+    });
     
-    // Validate required parameters
-    if (!loanAmount || !roi || !tenure) {
+    if (!exportValidation.isValid) {
       return res.status(400).json(
-        responseHelper.validationError("Missing required parameters: loanAmount, roi, tenure")
+        responseHelper.fieldValidationError(exportValidation.fieldErrors)
       );
     }
     
-    // Parse parameters to ensure they are numbers
-    const parsedAmount = parseFloat(loanAmount);
-    const parsedRoi = parseFloat(roi);
-    const parsedTenure = parseInt(tenure, 10);
+    const format = responseFormatOf(req, exportValidation.value.format);
     
-    // Validate numeric values
-    if (isNaN(parsedAmount) || isNaN(parsedRoi) || isNaN(parsedTenure)) {
+    if (!format) {
+      return res.status(406).json(
+        responseHelper.errorResponse(
+          config.errorCodes.invalidFormat,
+          `Supported formats are ${Object.keys(EXPORT_FORMATS).join(", ")}`
+        )
+      );
+    }
+    
+    // Validate the payload against the rules of the product it names,
+    // converting numeric strings and applying defaults
+    const body = req.body || {};
+    const product = body.productCode === undefined
+      ? productService.getDefaultRules()
+      : productService.getProduct(body.productCode);
+    
+    if (!product) {
+      const message = `Unknown productCode: ${body.productCode}`;
+      
+      return res.status(400).json(responseHelper.fieldValidationError([
+        { path: "productCode", code: config.errorCodes.invalidProduct, message }
+      ]));
+    }
+    
+    const validation = validatePayload(calculateSchemaFor(product), body);
+    
+    if (!validation.isValid) {
       return res.status(400).json(
-        responseHelper.validationError("Invalid numeric parameters provided")
+        responseHelper.fieldValidationError(validation.fieldErrors)
       );
     }
     
-    // Calculate EMI
-    const emi = loanService.calculateEMI(parsedAmount, parsedRoi, parsedTenure);
+    const {
+      loanAmount,
+      roi,
+      tenure,
+      prepayments,
+      structure,
+      interestMethod,
+      disbursalDate,
+      emiDueDay,
+      processingFee,
+      otherCharges
+    } = validation.value;
     
-    // Generate amortization schedule
-    const schedule = loanService.generateAmortizationSchedule(
-      parsedAmount, parsedRoi, parsedTenure
+    // Calculate EMI, amortization schedule and totals
+    const result = loanService.calculateLoan(
+      loanAmount, roi, tenure, interestMethod,
+      {
+        disbursalDate: disbursalDate ? new Date(disbursalDate) : undefined,
+        emiDueDay,
+        structure
+      }
     );
     
-    // Return the calculated details
-    return res.status(200).json(
-      responseHelper.successResponse({
-        emi,
-        totalInterest: schedule.reduce((sum, entry) => sum + entry.interestPaid, 0),
-        totalAmount: emi * parsedTenure,
-        schedule
-      })
-    );
+    // Summarize the true cost of credit, including upfront charges
+    result.keyFactStatement = aprService.buildKeyFactStatement({
+      loanAmount,
+      roi,
+      tenure,
+      processingFee,
+      otherCharges
+    }, result);
+    result.apr = result.keyFactStatement.apr;
+    result.effectiveAnnualRate = result.keyFactStatement.effectiveAnnualRate;
+    
+    // Compare against the plain schedule when prepayments are requested
+    if (prepayments && prepayments.length > 0) {
+      result.prepaymentSimulation = prepaymentService.simulatePrepayments(
+        loanAmount, roi, tenure, prepayments
+      );
+    }
+    
+    const { columns, locale } = exportValidation.value;
+    
+    // Documents are rendered before any header is set, so a rendering error
+    // still gets a JSON error response
+    switch (format) {
+      case "csv": {
+        const csv = scheduleExportService.toCsv(result.schedule, { columns, locale });
+        
+        return res.status(200)
+          .attachment("repayment-schedule.csv")
+          .type(EXPORT_FORMATS.csv)
+          .send(csv);
+      }
+      case "html": {
+        const html = scheduleExportService.toHtml(result, validation.value, { locale });
+        
+        return res.status(200).type(EXPORT_FORMATS.html).send(html);
+      }
+      default:
+        // Return the calculated details
+        return res.status(200).json(responseHelper.successResponse(result));
+    }
+    
+  } catch (error) {
+    logger.error("Error calculating loan details", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Creates a handler for a reverse calculator: validates the request body,
+ * then passes it to the affordability service
+ * 
+ * @param {Object} schema - Joi schema for the request body
+ * @param {Function} calculatorFn - affordabilityService function returning
+ *   { result } or { errorCode, message }
+ * @param {String} description - Calculator description for log lines
+ * @returns {Function} Express handler
+ */
+const calculatorHandler = (schema, calculatorFn, description) => (req, res) => {
+  try {
+    const validation = validatePayload(schema, req.body || {});
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const outcome = calculatorFn(validation.value);
+    
+    if (!outcome.result) {
+      return res.status(400).json(
+        responseHelper.errorResponse(outcome.errorCode, outcome.message)
+      );
+    }
+    
+    return res.status(200).json(responseHelper.successResponse(outcome.result));
     
   } catch (error) {
-    console.error("Error calculating loan details:", error);
+    logger.error(`Error in ${description} calculator`, { error });
     return res.status(500).json(responseHelper.serverError(error));
   }
 };
 
+/**
+ * Find the largest loan amount an EMI budget covers
+ */
+const maxLoanAmountRequest = calculatorHandler(
+  maxLoanAmountSchema, affordabilityService.findMaxLoanAmount, "maximum loan amount"
+);
+
+/**
+ * Find the shortest tenure that brings a loan amount within an EMI budget
+ */
+const requiredTenureRequest = calculatorHandler(
+  requiredTenureSchema, affordabilityService.findRequiredTenure, "required tenure"
+);
+
+/**
+ * Compare downpayment and tenure options for an asset
+ */
+const optionsGridRequest = calculatorHandler(
+  optionsGridSchema, affordabilityService.buildOptionsGrid, "options grid"
+);
+
 module.exports = {
   processLoanOfferRequest,
+  loanStatusRequest,
+  cancelOfferRequest,
+  updateOfferRequest,
+  updateOfferStatusRequest,
   validateLoanDetails,
-  calculateLoanDetails
+  calculateLoanDetails,
+  maxLoanAmountRequest,
+  requiredTenureRequest,
+  optionsGridRequest
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Controller for reading back processed loan offers
+ */
+
+const offerRepository = require("../services/offerRepository");
+const loanService = require("../services/loanService");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const config = require("../config/config");
+const { OFFER_STATES } = require("../services/offerLifecycle");
+const {
+  parseNumberParam,
+  parseDateParam,
+  parseEndDateParam,
+  parseEnumParam,
+  findInvalidParam,
+  findPagingViolation
+} = require("../utils/queryParams");
+
+/**
+ * Projects an offer for the caller: partners get the public view, while
+ * admin clients see the full stored record
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} offer - Stored offer
+ * @returns {Object} Offer as returned to the caller
+ */
+const offerView = (req, offer) => {
+  return req.partner ? loanService.toPublicOffer(offer) : offer;
+};
+
+/**
+ * Return a single stored offer by its order ID
+ * Partners only see their own offers
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOffer = (req, res) => {
+  try {
+    const offer = offerRepository.findByOrderId(req.params.orderId);
+    
+    if (!offer || (req.partner && offer.metadata.partner !== req.partner.code)) {
+      return res.status(404).json(
+        responseHelper.errorResponse(
+          config.errorCodes.notFound,
+          `No offer found for order ID ${req.params.orderId}`
+        )
+      );
+    }
+    
+    return res.status(200).json(responseHelper.successResponse(offerView(req, offer)));
+    
+  } catch (error) {
+    logger.error("Error fetching loan offer", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * List stored offers, filtered by query parameters
+ * Partners only see their own offers
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listOffers = (req, res) => {
+  try {
+    const { transactionId, tvsTransactionId } = req.query;
+    
+    const filters = {
+      transactionId,
+      tvsTransactionId,
+      partner: req.partner ? req.partner.code : undefined,
+      status: parseEnumParam(req.query.status, OFFER_STATES),
+      from: parseDateParam(req.query.from),
+      to: parseEndDateParam(req.query.to),
+      minAmount: parseNumberParam(req.query.minAmount),
+      maxAmount: parseNumberParam(req.query.maxAmount),
+      limit: parseNumberParam(req.query.limit),
+      offset: parseNumberParam(req.query.offset)
+    };
+    
+    // Reject any parameter that was supplied but could not be parsed
+    const invalidParam = findInvalidParam(filters);
+    
+    if (invalidParam) {
+      return res.status(400).json(
+        responseHelper.validationError(`Invalid value for query parameter: ${invalidParam}`)
+      );
+    }
+    
+    const pagingViolation = findPagingViolation(filters);
+    
+    if (pagingViolation) {
+      return res.status(400).json(
+        responseHelper.errorResponse(pagingViolation.errorCode, pagingViolation.message)
+      );
+    }
+    
+    const result = offerRepository.listOffers(filters);
+    
+    return res.status(200).json(
+      responseHelper.successResponse({
+        total: result.total,
+        limit: filters.limit || 50,
+        offset: filters.offset || 0,
+        offers: result.offers.map((offer) => offerView(req, offer))
+      })
+    );
+    
+  } catch (error) {
+    logger.error("Error listing loan offers", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+module.exports = {
+  getOffer,
+  listOffers
+};
\ No newline at end of file
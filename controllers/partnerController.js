@@ -0,0 +1,184 @@
+/**
+ * Controller for managing the partner registry
+ */
+
+const partnerService = require("../services/partnerService");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const { validatePayload } = require("../utils/schemaValidator");
+const { partnerSchema, partnerUpdateSchema } = require("../schemas/partnerSchemas");
+const config = require("../config/config");
+
+// HTTP statuses for service error codes that should not be a plain 400
+const errorHttpStatus = {
+  [config.errorCodes.conflict]: 409
+};
+
+/**
+ * Builds the 404 response for an unknown partner code
+ * 
+ * @param {String} code - Partner code
+ * @returns {Object} Error response
+ */
+const partnerNotFound = (code) => {
+  return responseHelper.errorResponse(
+    config.errorCodes.notFound,
+    `No partner found with code ${code}`
+  );
+};
+
+/**
+ * Sends the outcome of a create or update
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result with the partner or an error
+ * @param {Number} successStatus - HTTP status on success
+ */
+const sendPartnerResult = (res, result, successStatus) => {
+  if (!result.partner) {
+    return res.status(errorHttpStatus[result.errorCode] || 400).json(
+      responseHelper.errorResponse(result.errorCode, result.message)
+    );
+  }
+  
+  return res.status(successStatus).json(responseHelper.successResponse(result.partner));
+};
+
+/**
+ * List every registered partner, without secrets
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listPartners = (req, res) => {
+  try {
+    const partners = partnerService.listPartners();
+    
+    return res.status(200).json(
+      responseHelper.successResponse({ total: partners.length, partners })
+    );
+    
+  } catch (error) {
+    logger.error("Error listing partners", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Return a single partner, without secrets
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPartner = (req, res) => {
+  try {
+    const partner = partnerService.getPartnerDetails(req.params.code);
+    
+    if (!partner) {
+      return res.status(404).json(partnerNotFound(req.params.code));
+    }
+    
+    return res.status(200).json(responseHelper.successResponse(partner));
+    
+  } catch (error) {
+    logger.error("Error fetching partner", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Register a new partner
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPartner = (req, res) => {
+  try {
+    const validation = validatePayload(partnerSchema, req.body || {});
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const result = partnerService.createPartner(validation.value);
+    
+    if (result.partner) {
+      logger.info("Partner created", { partner: result.partner.code, userId: req.user.id });
+    }
+    
+    return sendPartnerResult(res, result, 201);
+    
+  } catch (error) {
+    logger.error("Error creating partner", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Change the settings of a partner; each setting sent replaces the stored
+ * one, and clients sent without a clientSecret keep their current secret
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePartner = (req, res) => {
+  try {
+    const validation = validatePayload(partnerUpdateSchema, req.body || {});
+    
+    if (!validation.isValid) {
+      return res.status(400).json(
+        responseHelper.fieldValidationError(validation.fieldErrors)
+      );
+    }
+    
+    const result = partnerService.updatePartner(req.params.code, validation.value);
+    
+    if (!result) {
+      return res.status(404).json(partnerNotFound(req.params.code));
+    }
+    
+    if (result.partner) {
+      logger.info("Partner updated", { partner: result.partner.code, userId: req.user.id });
+    }
+    
+    return sendPartnerResult(res, result, 200);
+    
+  } catch (error) {
+    logger.error("Error updating partner", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Remove a partner; tokens issued to its clients stop working
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePartner = (req, res) => {
+  try {
+    if (!partnerService.deletePartner(req.params.code)) {
+      return res.status(404).json(partnerNotFound(req.params.code));
+    }
+    
+    logger.info("Partner deleted", { partner: req.params.code, userId: req.user.id });
+    
+    return res.status(200).json(
+      responseHelper.successResponse({ code: req.params.code, deleted: true })
+    );
+    
+  } catch (error) {
+    logger.error("Error deleting partner", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+module.exports = {
+  listPartners,
+  getPartner,
+  createPartner,
+  updatePartner,
+  deletePartner
+};
\ No newline at end of file
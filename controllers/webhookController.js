@@ -0,0 +1,118 @@
+/**
+ * Controller for inspecting and redelivering partner webhooks
+ */
+
+const webhookService = require("../services/webhookService");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const config = require("../config/config");
+const {
+  parseNumberParam,
+  parseEnumParam,
+  findInvalidParam
+} = require("../utils/queryParams");
+
+// HTTP statuses for service error codes that should not be a plain 400
+const errorHttpStatus = {
+  [config.errorCodes.notFound]: 404,
+  [config.errorCodes.conflict]: 409
+};
+
+/**
+ * List webhook deliveries, filtered by status (e.g. DEAD for the
+ * dead-letter list), partner and event type
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listDeliveries = (req, res) => {
+  try {
+    const filters = {
+      status: parseEnumParam(req.query.status, webhookService.DELIVERY_STATUSES),
+      partner: req.query.partner || undefined,
+      eventType: req.query.eventType || undefined,
+      limit: parseNumberParam(req.query.limit),
+      offset: parseNumberParam(req.query.offset)
+    };
+    
+    const invalidParam = findInvalidParam(filters);
+    
+    if (invalidParam) {
+      return res.status(400).json(
+        responseHelper.validationError(`Invalid value for query parameter: ${invalidParam}`)
+      );
+    }
+    
+    const result = webhookService.listDeliveries(filters);
+    
+    return res.status(200).json(
+      responseHelper.successResponse({
+        total: result.total,
+        limit: filters.limit || 50,
+        offset: filters.offset || 0,
+        deliveries: result.deliveries
+      })
+    );
+    
+  } catch (error) {
+    logger.error("Error listing webhook deliveries", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Return a single webhook delivery with its attempt history
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDelivery = (req, res) => {
+  try {
+    const delivery = webhookService.getDelivery(req.params.id);
+    
+    if (!delivery) {
+      return res.status(404).json(
+        responseHelper.errorResponse(
+          config.errorCodes.notFound,
+          `No webhook delivery found with ID ${req.params.id}`
+        )
+      );
+    }
+    
+    return res.status(200).json(responseHelper.successResponse(delivery));
+    
+  } catch (error) {
+    logger.error("Error fetching webhook delivery", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+/**
+ * Queue a webhook delivery to be sent again
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const redeliver = (req, res) => {
+  try {
+    const result = webhookService.redeliver(req.params.id);
+    
+    if (!result.delivery) {
+      return res.status(errorHttpStatus[result.errorCode] || 400).json(
+        responseHelper.errorResponse(result.errorCode, result.message)
+      );
+    }
+    
+    return res.status(202).json(responseHelper.successResponse(result.delivery));
+    
+  } catch (error) {
+    logger.error("Error redelivering webhook", { error });
+    return res.status(500).json(responseHelper.serverError(error));
+  }
+};
+
+module.exports = {
+  listDeliveries,
+  getDelivery,
+  redeliver
+};
\ No newline at end of file
@@ -8,22 +8,32 @@ const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const helmet = require("helmet");
-const morgan = require("morgan");
 const apiRoutes = require("./routes/apiRoutes");
 const config = require("./config/config");
+const { logger } = require("./utils/logger");
+const webhookService = require("./services/webhookService");
+const offerLifecycle = require("./services/offerLifecycle");
+const { assignRequestId, logRequests } = require("./middleware/requestMiddleware");
 
 // Initialize Express app
 const app = express();
 
+// Tag every request with an ID used in its log lines and response headers
+app.use(assignRequestId);
+
 // Configure middleware
 app.use(helmet()); // Security middleware
 app.use(cors()); // Enable CORS for all routes
-app.use(bodyParser.json()); // Parse JSON request bodies
+// Parse JSON request bodies, keeping the raw bytes for signature checks
+app.use(bodyParser.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
 // Add request logging
-const logFormat = config.environment === "production" ? "combined" : "dev";
-app.use(morgan(logFormat));
+app.use(logRequests);
 
 // Set timeout for all requests
 app.use((req, res, next) => {
@@ -34,7 +44,7 @@ app.use((req, res, next) => {
 
 // Add global error handler middleware
 app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
+  logger.error("Unhandled error", { error: err });
   res.status(500).json({
     statusCode: config.statusCodes.error,
     statusMessage: "Error",
@@ -49,50 +59,65 @@ app.use((err, req, res, next) => {
 // Apply API routes
 app.use("/", apiRoutes);
 
-// Start the server
+// Start the server when run directly; tests import the app without listening
 const PORT = config.server.port;
+let server = null;
 
-app.listen(PORT, () => {
-  console.log(`
-    ======================================================
-    🚀 Loan Offer API Service started successfully!
-    🌐 Server listening on port ${PORT}
-    🔧 Environment: ${config.environment}
-    ======================================================
-  `);
-  
-  // Log available endpoints
-  console.log("📝 Available endpoints:");
-  console.log(`   POST ${config.endpoints.loanOffer}`);
-  console.log("   GET /health");
-  console.log("   POST /api/loan/validate");
-  console.log("   POST /api/loan/calculate");
+if (require.main === module) {
+  server = app.listen(PORT, () => {
+    logger.info("Loan Offer API Service started", {
+      port: PORT,
+      environment: config.environment
+    });
+    
+    // Deliver queued partner webhooks in the background
+    webhookService.startDispatcher();
+    
+    // Expire offers whose validity has run out
+    offerLifecycle.startExpirySweeper();
+    
+    // Log available endpoints
+    logger.debug("Available endpoints", {
+      endpoints: [
+        `POST ${config.endpoints.loanOffer}`,
+        "GET /health",
+        "POST /api/auth/token",
+        "POST /api/auth/revoke",
+        "POST /api/loan/validate",
+        "POST /api/loan/calculate",
+        "POST /api/loan/calculate/max-amount",
+        "POST /api/loan/calculate/tenure",
+        "POST /api/loan/calculate/grid",
+        "GET /api/loan/offers",
+        "GET /api/loan/offers/:orderId"
+      ]
+    });
+  });
   
-  if (config.environment === "development") {
-    console.log("\n⚙️  Development mode enabled");
-    console.log("   Additional debugging information will be displayed");
-  }
-});
-
-// Handle termination signals
-process.on("SIGTERM", gracefulShutdown);
-process.on("SIGINT", gracefulShutdown);
+  // Handle termination signals
+  process.on("SIGTERM", gracefulShutdown);
+  process.on("SIGINT", gracefulShutdown);
+}
 
 /**
  * Gracefully shutdown the server
  */
 function gracefulShutdown() {
-  console.log("\n🛑 Received termination signal. Shutting down gracefully...");
+  logger.info("Received termination signal, shutting down gracefully");
+  
+  // Stop the background jobs; pending webhook deliveries stay in the outbox
+  webhookService.stopDispatcher();
+  offerLifecycle.stopExpirySweeper();
   
   // Close server connections
   server.close(() => {
-    console.log("✅ Server closed successfully");
+    logger.info("Server closed successfully");
     process.exit(0);
   });
   
   // If server hasn't closed in 10 seconds, force shutdown
   setTimeout(() => {
-    console.error("⚠️  Could not close connections in time, forcefully shutting down");
+    logger.error("Could not close connections in time, forcefully shutting down");
     process.exit(1);
   }, 10000);
 }
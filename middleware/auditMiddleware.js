@@ -0,0 +1,59 @@
+/**
+ * Audit middleware for the Loan Offer API
+ * Records each call to an audited route in the hash-chained audit trail
+ * once its response has been sent: who called, what they sent (masked),
+ * and what we answered
+ */
+
+const config = require("../config/config");
+const auditService = require("../services/auditService");
+const { logger, maskValue } = require("../utils/logger");
+
+/**
+ * Creates audit middleware for a route
+ * Mount it first in the route's chain so that calls refused by
+ * authentication, rate limiting or authorization are recorded too
+ * 
+ * @param {String} action - Name of the audited action (e.g. "loanOffer")
+ * @returns {Function} Express middleware
+ */
+const auditTrail = (action) => (req, res, next) => {
+  const sendJson = res.json.bind(res);
+  let responseBody = null;
+  
+  res.json = (body) => {
+    responseBody = body;
+    return sendJson(body);
+  };
+  
+  res.on("finish", () => {
+    try {
+      const data = (responseBody && responseBody.data) || {};
+      
+      auditService.appendEntry({
+        action,
+        requestId: req.id || null,
+        method: req.method,
+        path: req.route ? req.route.path : req.path,
+        principal: req.user
+          ? { id: req.user.id, partner: req.user.partner || null, roles: req.user.roles }
+          : null,
+        ip: req.ip,
+        request: maskValue({ query: req.query, params: req.params, body: req.body || {} }),
+        decision: responseBody && responseBody.statusCode === config.statusCodes.success
+          ? "ACCEPTED"
+          : "REJECTED",
+        httpStatus: res.statusCode,
+        errorCode: data.errorCode || null
+      });
+    } catch (error) {
+      logger.error("Error writing audit entry", { action, error });
+    }
+  });
+  
+  next();
+};
+
+module.exports = {
+  auditTrail
+};
\ No newline at end of file
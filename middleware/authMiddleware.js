@@ -5,58 +5,30 @@
 
 const config = require("../config/config");
 const responseHelper = require("../utils/responseHelper");
-const crypto = require("crypto");
+const { logger, getRequestContext } = require("../utils/logger");
+const tokenService = require("../services/tokenService");
+const permissionService = require("../services/permissionService");
+const partnerService = require("../services/partnerService");
 
 /**
- * Validates if a token is properly formatted
+ * Reads the authentication token from the request body, falling back to
+ * an "Authorization: Bearer <token>" header for requests without a body
  * 
- * @param {String} token - The authentication token to validate
- * @returns {Boolean} Whether the token has valid format
- */
-const isValidTokenFormat = (token) => {
-  // Check if token exists and has the expected length
-  return token && typeof token === "string" && token.length >= 32;
-};
-
-/**
- * Decodes and verifies the token
- * 
- * @param {String} token - The authentication token to verify
- * @returns {Object|null} Decoded token payload or null if invalid
+ * @param {Object} req - Express request object
+ * @returns {String|undefined} The token if one was supplied
  */
-const verifyToken = (token) => {
-  try {
-    // In a production environment, this would typically:
-    // 1. Verify the token signature using JWT or similar
-    // 2. Check if the token is expired
-    // 3. Potentially check a blacklist of revoked tokens
-    
-    // For this implementation, we're using a simplified approach
-    // that checks token format and performs basic validation
-    
-    // Generate a hash of the token to compare with stored values
-    const hash = crypto
-      .createHmac("sha256", config.auth.tokenSecret)
-      .update(token)
-      .digest("hex");
-    
-    // In a real implementation, you would verify this hash against a database
-    // For now, we're just checking if the token has valid format
-    if (isValidTokenFormat(token)) {
-      // Mock decoded payload
-      return {
-        valid: true,
-        userId: "user_" + hash.substring(0, 10),
-        issuedAt: Date.now() - 1000 * 60 * 30, // 30 minutes ago
-        expiresAt: Date.now() + 1000 * 60 * 30 // 30 minutes from now
-      };
-    }
-    
-    return null;
-  } catch (error) {
-    console.error("Token verification error:", error);
-    return null;
+const extractToken = (req) => {
+  if (req.body && req.body.token) {
+    return req.body.token;
   }
+  
+  const header = req.get("authorization");
+  
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  
+  return undefined;
 };
 
 /**
@@ -79,8 +51,8 @@ const authenticateToken = (req, res, next) => {
       );
     }
     
-    // Get token from request body
-    const { token } = req.body;
+    // Get token from request body or Authorization header
+    const token = extractToken(req);
     
     if (!token) {
       return res.status(401).json(
@@ -88,8 +60,8 @@ const authenticateToken = (req, res, next) => {
       );
     }
     
-    // Verify the token
-    const decodedToken = verifyToken(token);
+    // Verify the token signature
+    const decodedToken = tokenService.verifyToken(token);
     
     if (!decodedToken) {
       return res.status(401).json(
@@ -98,22 +70,52 @@ const authenticateToken = (req, res, next) => {
     }
     
     // Check if token is expired
-    if (decodedToken.expiresAt < Date.now()) {
+    if (tokenService.isTokenExpired(decodedToken)) {
       return res.status(401).json(
         responseHelper.authError("Token has expired")
       );
     }
     
-    // Attach decoded token to request object for use in subsequent middleware
+    // Check if token has been revoked
+    if (tokenService.isTokenRevoked(decodedToken)) {
+      return res.status(401).json(
+        responseHelper.authError("Token has been revoked")
+      );
+    }
+    
+    // Partner tokens stop working once their partner is suspended or removed
+    const partner = partnerService.getPartner(decodedToken.partner);
+    
+    if (decodedToken.partner && (!partner || partner.status !== "ACTIVE")) {
+      return res.status(401).json(
+        responseHelper.authError("Partner is not active")
+      );
+    }
+    
+    // Attach decoded token and the caller's partner to the request object
+    // for use in subsequent middleware, services and log lines
+    req.partner = partner;
+    
+    const context = getRequestContext();
+    
+    if (context && partner) {
+      context.partner = partner.code;
+    }
+    
     req.user = {
-      id: decodedToken.userId,
+      id: decodedToken.sub,
+      partner: decodedToken.partner,
+      roles: decodedToken.roles || [],
+      // Role scopes are resolved per request so role changes apply to existing tokens
+      scopes: permissionService.resolveScopes(decodedToken.roles, decodedToken.scopes),
+      tokenId: decodedToken.jti,
       token: token
     };
     
     // Proceed to next middleware
     next();
   } catch (error) {
-    console.error("Authentication middleware error:", error);
+    logger.error("Authentication middleware error", { error });
     return res.status(500).json(
       responseHelper.serverError(error)
     );
@@ -121,32 +123,26 @@ const authenticateToken = (req, res, next) => {
 };
 
 /**
- * Middleware that checks if the user has admin privileges
+ * Creates middleware that requires the authenticated principal to hold
+ * every one of the given scopes
  * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- * @returns {void}
+ * @param {...String} requiredScopes - Scopes needed to access the route
+ * @returns {Function} Express middleware
  */
-const requireAdmin = (req, res, next) => {
-  // This would typically check if the authenticated user has admin role
-  // For now, we'll implement a simplified check
-  
+const requireScope = (...requiredScopes) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json(
       responseHelper.authError("Authentication required")
     );
   }
   
-  // In a real implementation, you would check user roles in a database
-  // Here we're just checking a pattern in the user ID for demonstration
-  const isAdmin = req.user.id.includes("admin");
+  const missing = permissionService.missingScopes(req.user.scopes, requiredScopes);
   
-  if (!isAdmin) {
+  if (missing.length > 0) {
     return res.status(403).json(
       responseHelper.errorResponse(
-        "E403",
-        "Insufficient permissions to perform this action"
+        config.errorCodes.forbidden,
+        `Missing required permission: ${missing.join(", ")}`
       )
     );
   }
@@ -155,30 +151,59 @@ const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Middleware for API rate limiting
+ * Creates middleware that requires the calling partner to be allowed an
+ * action; callers that are not partners (e.g. admin clients) are let through
  * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- * @returns {void}
+ * @param {String} action - Action name from PARTNER_ACTIONS
+ * @returns {Function} Express middleware
  */
-const rateLimiter = (req, res, next) => {
-  // In a production environment, this would implement proper rate limiting
-  // based on IP address, user ID, or other identifiers
-  // For this implementation, we'll just pass through
+const requirePartnerAction = (action) => (req, res, next) => {
+  if (req.partner && !req.partner.allowedActions.includes(action)) {
+    return res.status(403).json(
+      responseHelper.errorResponse(
+        config.errorCodes.forbidden,
+        `Partner ${req.partner.code} is not allowed to call ${action}`
+      )
+    );
+  }
   
-  // Example of how rate limiting could be implemented:
-  // 1. Check if user/IP has made too many requests in a time period
-  // 2. If limit is exceeded, return 429 Too Many Requests
-  // 3. Otherwise, update the request counter and proceed
+  next();
+};
+
+/**
+ * Creates middleware that requires the authenticated principal to hold a role
+ * 
+ * @param {String} role - Role needed to access the route
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json(
+      responseHelper.authError("Authentication required")
+    );
+  }
+  
+  if (!req.user.roles.includes(role)) {
+    return res.status(403).json(
+      responseHelper.errorResponse(
+        config.errorCodes.forbidden,
+        `Missing required role: ${role}`
+      )
+    );
+  }
   
   next();
 };
 
+/**
+ * Middleware that checks if the user has admin privileges
+ */
+const requireAdmin = requireRole("admin");
+
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  rateLimiter,
-  verifyToken,
-  isValidTokenFormat
+  requireScope,
+  requirePartnerAction,
+  requireRole,
+  requireAdmin
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Rate limiting middleware for the Loan Offer API
+ * Limits authenticated callers per user and anonymous callers per IP, with
+ * quotas configured per route and per partner tier
+ */
+
+const config = require("../config/config");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const { getRateLimitStore } = require("../stores");
+
+/**
+ * Determines the rate limit tier of the caller
+ * 
+ * @param {Object} req - Express request object
+ * @returns {String} Tier name
+ */
+const resolveTier = (req) => {
+  if (!req.user) {
+    return "anonymous";
+  }
+  
+  return req.partner ? req.partner.rateTier : "standard";
+};
+
+/**
+ * Looks up the request quota for a route and tier
+ * 
+ * @param {String} routeKey - Route name in config.rateLimit.routes
+ * @param {String} tier - Caller tier
+ * @returns {Number} Requests allowed per window
+ */
+const resolveLimit = (routeKey, tier) => {
+  const routeLimits = config.rateLimit.routes[routeKey] || {};
+  
+  if (routeLimits[tier] !== undefined) {
+    return routeLimits[tier];
+  }
+  
+  return config.rateLimit.routes.default[tier];
+};
+
+/**
+ * Creates rate limiting middleware for a route
+ * Mount it after authenticateToken on authenticated routes so the limit
+ * applies per user rather than per IP
+ * 
+ * @param {String} routeKey - Route name in config.rateLimit.routes
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (routeKey) => (req, res, next) => {
+  try {
+    const tier = resolveTier(req);
+    const limit = resolveLimit(routeKey, tier);
+    const caller = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    
+    const result = getRateLimitStore().hit(
+      `${routeKey}:${caller}`,
+      limit,
+      config.rateLimit.windowMs
+    );
+    
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(resetSeconds)
+    });
+    
+    if (!result.allowed) {
+      res.set("Retry-After", String(resetSeconds));
+      
+      return res.status(429).json(
+        responseHelper.errorResponse(
+          config.errorCodes.rateLimitExceeded,
+          `Rate limit exceeded. Retry after ${resetSeconds} seconds`
+        )
+      );
+    }
+    
+    next();
+  } catch (error) {
+    logger.error("Rate limit middleware error", { error });
+    return res.status(500).json(
+      responseHelper.serverError(error)
+    );
+  }
+};
+
+module.exports = {
+  rateLimit
+};
\ No newline at end of file
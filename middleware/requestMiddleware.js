@@ -0,0 +1,67 @@
+/**
+ * Request tracing middleware for the Loan Offer API
+ * Gives every request an ID, taken from the caller's X-Request-Id header
+ * when it is well formed and generated otherwise, returns it in the
+ * response headers and logs each completed request
+ */
+
+const crypto = require("crypto");
+const { logger, runWithRequestContext } = require("../utils/logger");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Caller-supplied request IDs are only trusted in this shape
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Assigns the request ID and runs the rest of the request in its context
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  
+  runWithRequestContext({ requestId }, next);
+};
+
+/**
+ * Logs each request once its response has been sent
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const logRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      // Route patterns keep IDs in the path (e.g. :orderId) out of the logs
+      path: req.route ? req.route.path : req.path,
+      action: req.query.action,
+      statusCode: res.statusCode,
+      durationMs: Math.round(durationMs * 100) / 100,
+      userId: req.user ? req.user.id : undefined,
+      ip: req.ip
+    });
+  });
+  
+  next();
+};
+
+module.exports = {
+  assignRequestId,
+  logRequests
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Request signing middleware for the Loan Offer API
+ * Verifies that a partner's request body was signed with its shared secret
+ * and has not been seen before.
+ * 
+ * Partners send three headers:
+ *   X-Timestamp - Unix time in seconds when the request was signed
+ *   X-Nonce     - Random value, unique per request
+ *   X-Signature - Hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+ * 
+ * The raw body is the exact bytes received (captured by the JSON body
+ * parser), so re-serialising the parsed body cannot change the result.
+ */
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const { getNonceStore } = require("../stores");
+
+/**
+ * Computes the signature of a request
+ * 
+ * @param {String} secret - Partner signing secret
+ * @param {String} timestamp - X-Timestamp header value
+ * @param {String} nonce - X-Nonce header value
+ * @param {Buffer|String} rawBody - Raw request body
+ * @returns {String} Hex-encoded HMAC-SHA256
+ */
+const signRequest = (secret, timestamp, nonce, rawBody) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || "")
+    .digest("hex");
+};
+
+/**
+ * Compares two hex signatures in constant time
+ * 
+ * @param {String} expected - Signature we computed
+ * @param {String} received - Signature the caller sent
+ * @returns {Boolean} Whether they match
+ */
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, "utf8");
+  const receivedBuffer = Buffer.from(received, "utf8");
+  
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Sends a 401 signature error
+ * 
+ * @param {Object} res - Express response object
+ * @param {String} errorCode - Error code from config.errorCodes
+ * @param {String} message - Error message
+ */
+const rejectSignature = (res, errorCode, message) => {
+  return res.status(401).json(responseHelper.errorResponse(errorCode, message));
+};
+
+/**
+ * Middleware to verify the body signature of a partner request
+ * Mount it after authenticateToken, since the signing secret is chosen by
+ * the authenticated partner. Partners without a signing secret are let
+ * through, as are unsigned requests from partners not required to sign.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyRequestSignature = (req, res, next) => {
+  try {
+    const signing = req.partner && req.partner.requestSigning;
+    
+    if (!signing) {
+      return next();
+    }
+    
+    const signature = req.get("X-Signature");
+    const timestamp = req.get("X-Timestamp");
+    const nonce = req.get("X-Nonce");
+    
+    if (!signature && !timestamp && !nonce && !signing.required) {
+      return next();
+    }
+    
+    if (!signature || !timestamp || !nonce) {
+      return rejectSignature(
+        res,
+        config.errorCodes.signatureMissing,
+        "X-Signature, X-Timestamp and X-Nonce headers are required"
+      );
+    }
+    
+    const signedAt = /^\d+$/.test(timestamp) ? Number(timestamp) : NaN;
+    const skew = Math.abs(Math.floor(Date.now() / 1000) - signedAt);
+    
+    if (!(skew <= config.requestSigning.maxSkewSeconds)) {
+      return rejectSignature(
+        res,
+        config.errorCodes.signatureExpired,
+        `X-Timestamp must be Unix seconds within ${config.requestSigning.maxSkewSeconds} seconds of server time`
+      );
+    }
+    
+    const expected = signRequest(signing.secret, timestamp, nonce, req.rawBody);
+    
+    if (!signaturesMatch(expected, signature.toLowerCase())) {
+      logger.warn("Invalid request signature", { userId: req.user.id });
+      return rejectSignature(res, config.errorCodes.signatureInvalid, "Invalid request signature");
+    }
+    
+    // Only a correctly signed request may use up a nonce, so forged requests
+    // cannot burn nonces a partner is about to send
+    const nonceUnused = getNonceStore().use(
+      `${req.partner.code}:${nonce}`,
+      config.requestSigning.nonceTtlSeconds * 1000
+    );
+    
+    if (!nonceUnused) {
+      logger.warn("Replayed request nonce", { userId: req.user.id });
+      return rejectSignature(res, config.errorCodes.nonceReplayed, "Request nonce has already been used");
+    }
+    
+    next();
+  } catch (error) {
+    logger.error("Request signature middleware error", { error });
+    return res.status(500).json(
+      responseHelper.serverError(error)
+    );
+  }
+};
+
+module.exports = {
+  signRequest,
+  verifyRequestSignature
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Action registry for the fkApiServices.do endpoint
+ * 
+ * Partners call every operation through POST /fkApiServices.do?action=<name>.
+ * Each action registered here names the scope it needs, its rate limit
+ * route and its handler; the dispatcher runs every action through the same
+ * audit, token authentication, rate limiting, request signature and
+ * permission checks before its handler, so adding an action only takes a
+ * registerAction call.
+ */
+
+const loanController = require("../controllers/loanController");
+const authMiddleware = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const { auditTrail } = require("../middleware/auditMiddleware");
+const { verifyRequestSignature } = require("../middleware/signatureMiddleware");
+
+const actions = new Map();
+
+/**
+ * Registers an action with the dispatcher
+ * 
+ * @param {String} name - Value of the action query parameter; also the audit
+ *   action and the partner action checked against the partner's allowedActions
+ * @param {Object} definition - Action definition
+ * @param {String} definition.scope - Scope the caller must hold
+ * @param {String} definition.rateLimitKey - Route name in
+ *   config.rateLimit.routes (defaults to the action name)
+ * @param {Function} definition.handler - Express handler for the action
+ */
+const registerAction = (name, { scope, rateLimitKey = name, handler }) => {
+  actions.set(name, {
+    name,
+    middleware: [
+      auditTrail(name),
+      authMiddleware.authenticateToken,
+      rateLimit(rateLimitKey),
+      verifyRequestSignature,
+      authMiddleware.requireScope(scope),
+      authMiddleware.requirePartnerAction(name),
+      handler
+    ]
+  });
+};
+
+/**
+ * Returns a registered action
+ * 
+ * @param {String} name - Action name
+ * @returns {Object|null} Action or null if none is registered by that name
+ */
+const getAction = (name) => {
+  return actions.get(name) || null;
+};
+
+/**
+ * Runs an action's middleware chain, stopping when a middleware responds
+ * instead of calling next
+ * 
+ * @param {Object} action - Registered action
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function, for errors
+ */
+const dispatchAction = (action, req, res, next) => {
+  const runFrom = (index) => (error) => {
+    if (error) {
+      return next(error);
+    }
+    
+    action.middleware[index](req, res, runFrom(index + 1));
+  };
+  
+  runFrom(0)();
+};
+
+registerAction("loanOffer", {
+  scope: "loan:offer",
+  handler: loanController.processLoanOfferRequest
+});
+
+registerAction("loanStatus", {
+  scope: "loan:read",
+  handler: loanController.loanStatusRequest
+});
+
+registerAction("cancelOffer", {
+  scope: "loan:offer",
+  handler: loanController.cancelOfferRequest
+});
+
+registerAction("updateOffer", {
+  scope: "loan:offer",
+  handler: loanController.updateOfferRequest
+});
+
+module.exports = {
+  registerAction,
+  getAction,
+  dispatchAction
+};
\ No newline at end of file
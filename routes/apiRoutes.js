@@ -6,7 +6,16 @@
 const express = require("express");
 const router = express.Router();
 const loanController = require("../controllers/loanController");
+const offerController = require("../controllers/offerController");
+const authController = require("../controllers/authController");
+const adminController = require("../controllers/adminController");
+const webhookController = require("../controllers/webhookController");
+const auditController = require("../controllers/auditController");
+const partnerController = require("../controllers/partnerController");
 const authMiddleware = require("../middleware/authMiddleware");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+const { auditTrail } = require("../middleware/auditMiddleware");
+const { getAction, dispatchAction } = require("./actionRegistry");
 const config = require("../config/config");
 
 /**
@@ -23,19 +32,32 @@ router.get("/health", (req, res) => {
 });
 
 /**
- * Loan Offer API Endpoint
- * POST /fkApiServices.do?action=loanOffer
- * Processes loan offer requests as specified in the API docs
+ * Issue Access Token
+ * POST /api/auth/token
+ * Exchanges client credentials for a signed, expiring access token
+ */
+router.post("/api/auth/token", rateLimit("authToken"), authController.issueToken);
+
+/**
+ * Revoke Access Token
+ * POST /api/auth/revoke
+ * Adds a token issued to the calling client to the revocation list
+ */
+router.post("/api/auth/revoke", rateLimit("authRevoke"), authController.revokeToken);
+
+/**
+ * Partner API Endpoint
+ * POST /fkApiServices.do?action=<action>
+ * Dispatches to the action registered under the action parameter (loanOffer,
+ * loanStatus, cancelOffer, updateOffer; see routes/actionRegistry.js)
  */
 router.post("/fkApiServices.do", (req, res, next) => {
-  const action = req.query.action;
+  const action = getAction(req.query.action);
   
-  if (action === "loanOffer") {
-    // Apply authentication middleware for this route
-    authMiddleware.authenticateToken(req, res, () => {
-      // If authentication passed, process the loan offer request
-      loanController.processLoanOfferRequest(req, res);
-    });
+  if (action) {
+    // Audit, authentication, signature and authorization middleware run
+    // before the action's handler
+    dispatchAction(action, req, res, next);
   } else {
     // If the action is not supported
     res.status(400).json({
@@ -57,39 +79,273 @@ router.post("/fkApiServices.do", (req, res, next) => {
  * Useful for client-side validation before submission
  */
 router.post("/api/loan/validate", 
+  auditTrail("validate"),
   authMiddleware.authenticateToken, 
+  rateLimit("validate"),
+  authMiddleware.requireScope("loan:validate"),
+  authMiddleware.requirePartnerAction("validate"),
   loanController.validateLoanDetails
 );
 
 /**
  * Calculate Loan EMI and Schedule
  * POST /api/loan/calculate
- * Calculates EMI and generates amortization schedule for given loan parameters
+ * Calculates EMI and generates amortization schedule for given loan parameters,
+ * as JSON, a CSV schedule or a printable HTML repayment plan (?format= or Accept)
+ */
+router.post("/api/loan/calculate", rateLimit("calculate"), loanController.calculateLoanDetails);
+
+/**
+ * Maximum Loan Amount
+ * POST /api/loan/calculate/max-amount
+ * Finds the largest loan an EMI budget covers at the given ROI and tenure
+ */
+router.post("/api/loan/calculate/max-amount", rateLimit("calculate"), loanController.maxLoanAmountRequest);
+
+/**
+ * Required Tenure
+ * POST /api/loan/calculate/tenure
+ * Finds the shortest tenure that brings a loan amount within an EMI budget
  */
-router.post("/api/loan/calculate", loanController.calculateLoanDetails);
+router.post("/api/loan/calculate/tenure", rateLimit("calculate"), loanController.requiredTenureRequest);
+
+/**
+ * Downpayment and Tenure Options
+ * POST /api/loan/calculate/grid
+ * Compares EMIs and total cost for an asset across downpayments and tenures
+ */
+router.post("/api/loan/calculate/grid", rateLimit("calculate"), loanController.optionsGridRequest);
+
+/**
+ * List Stored Loan Offers
+ * GET /api/loan/offers
+ * Returns processed offers, filterable by transactionId, tvsTransactionId,
+ * lifecycle status, date range (from/to) and amount range
+ * (minAmount/maxAmount), with paging
+ */
+router.get("/api/loan/offers",
+  authMiddleware.authenticateToken,
+  rateLimit("offers"),
+  authMiddleware.requireScope("loan:read"),
+  authMiddleware.requirePartnerAction("readOffers"),
+  offerController.listOffers
+);
+
+/**
+ * Get Stored Loan Offer
+ * GET /api/loan/offers/:orderId
+ * Returns the offer recorded for the given order ID
+ */
+router.get("/api/loan/offers/:orderId",
+  authMiddleware.authenticateToken,
+  rateLimit("offers"),
+  authMiddleware.requireScope("loan:read"),
+  authMiddleware.requirePartnerAction("readOffers"),
+  offerController.getOffer
+);
 
 /**
  * Admin Routes
- * These routes require admin privileges
+ * These routes require admin scopes
+ */
+
+/**
+ * Loan Portfolio Statistics
+ * GET /api/admin/loan-stats
+ * Aggregates processed offers, filterable by date range (from/to), partner
+ * and status, and groupable by day/week/month or tenure/roi bucket
  */
-// Example admin route that requires both authentication and admin privileges
 router.get("/api/admin/loan-stats", 
+  auditTrail("admin.loanStats"),
   authMiddleware.authenticateToken,
-  authMiddleware.requireAdmin,
-  (req, res) => {
-    // This would typically fetch statistics from a database
-    // For now, returning mock data
-    res.status(200).json({
-      statusCode: config.statusCodes.success,
-      statusMessage: "Success",
-      data: {
-        totalLoans: 1245,
-        totalAmount: 45678900,
-        avgInterestRate: 12.5,
-        avgTenure: 36
-      }
-    });
-  }
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:stats"),
+  adminController.getLoanStats
+);
+
+/**
+ * Loan Product Catalog
+ * GET /api/admin/products
+ * Lists the products loaded from the catalog file
+ */
+router.get("/api/admin/products",
+  auditTrail("admin.listProducts"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:products"),
+  adminController.listProducts
+);
+
+/**
+ * Reload Loan Product Catalog
+ * POST /api/admin/products/reload
+ * Re-reads the catalog file; an invalid file leaves the current catalog in place
+ */
+router.post("/api/admin/products/reload",
+  auditTrail("admin.reloadProducts"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:products"),
+  adminController.reloadProducts
+);
+
+/**
+ * Effective Configuration
+ * GET /api/admin/config
+ * Returns the merged configuration with secrets redacted
+ */
+router.get("/api/admin/config",
+  auditTrail("admin.config"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:config"),
+  adminController.getConfig
+);
+
+/**
+ * List Webhook Deliveries
+ * GET /api/admin/webhooks
+ * Lists partner webhook deliveries, filterable by status (DEAD for the
+ * dead-letter list), partner and eventType, with paging
+ */
+router.get("/api/admin/webhooks",
+  auditTrail("admin.listWebhooks"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:webhooks"),
+  webhookController.listDeliveries
+);
+
+/**
+ * Get Webhook Delivery
+ * GET /api/admin/webhooks/:id
+ * Returns a delivery with its payload and attempt history
+ */
+router.get("/api/admin/webhooks/:id",
+  auditTrail("admin.getWebhook"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:webhooks"),
+  webhookController.getDelivery
+);
+
+/**
+ * Redeliver Webhook
+ * POST /api/admin/webhooks/:id/redeliver
+ * Queues a delivery to be sent again with a fresh set of attempts
+ */
+router.post("/api/admin/webhooks/:id/redeliver",
+  auditTrail("admin.redeliverWebhook"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:webhooks"),
+  webhookController.redeliver
+);
+
+/**
+ * Query Audit Trail
+ * GET /api/admin/audit
+ * Lists audit entries, filterable by action, principal, partner, decision,
+ * errorCode and date range (from/to), with paging
+ */
+router.get("/api/admin/audit",
+  auditTrail("admin.queryAudit"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:audit"),
+  auditController.queryAuditLog
+);
+
+/**
+ * Verify Audit Trail
+ * GET /api/admin/audit/verify
+ * Recomputes the hash chain and reports the first entry that breaks it
+ */
+router.get("/api/admin/audit/verify",
+  auditTrail("admin.verifyAudit"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:audit"),
+  auditController.verifyAuditLog
+);
+
+/**
+ * List Partners
+ * GET /api/admin/partners
+ * Lists the partner registry, without secrets
+ */
+router.get("/api/admin/partners",
+  auditTrail("admin.listPartners"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:partners"),
+  partnerController.listPartners
+);
+
+/**
+ * Create Partner
+ * POST /api/admin/partners
+ * Registers a partner with its clients and settings
+ */
+router.post("/api/admin/partners",
+  auditTrail("admin.createPartner"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:partners"),
+  partnerController.createPartner
+);
+
+/**
+ * Get Partner
+ * GET /api/admin/partners/:code
+ * Returns a partner's clients and settings, without secrets
+ */
+router.get("/api/admin/partners/:code",
+  auditTrail("admin.getPartner"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:partners"),
+  partnerController.getPartner
+);
+
+/**
+ * Update Partner
+ * PATCH /api/admin/partners/:code
+ * Replaces the settings sent; clients sent without a secret keep theirs
+ */
+router.patch("/api/admin/partners/:code",
+  auditTrail("admin.updatePartner"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:partners"),
+  partnerController.updatePartner
+);
+
+/**
+ * Delete Partner
+ * DELETE /api/admin/partners/:code
+ * Removes a partner; tokens issued to its clients stop working
+ */
+router.delete("/api/admin/partners/:code",
+  auditTrail("admin.deletePartner"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:partners"),
+  partnerController.deletePartner
+);
+
+/**
+ * Update Offer Status
+ * POST /api/admin/offers/:orderId/status
+ * Moves an offer to ACCEPTED, DISBURSED, REJECTED or CANCELLED on behalf of
+ * the lender; partners can only cancel their own offers
+ */
+router.post("/api/admin/offers/:orderId/status",
+  auditTrail("admin.updateOfferStatus"),
+  authMiddleware.authenticateToken,
+  rateLimit("admin"),
+  authMiddleware.requireScope("admin:offers"),
+  loanController.updateOfferStatusRequest
 );
 
 /**
@@ -102,7 +358,7 @@ router.all("*", (req, res) => {
     statusMessage: "Error",
     data: {
       errorMessage: "Requested resource not found",
-      errorCode: "E404",
+      errorCode: config.errorCodes.notFound,
       redirectionURL: ""
     }
   });
@@ -0,0 +1,28 @@
+/**
+ * Joi schemas for authentication endpoint payloads
+ */
+
+const Joi = require("joi");
+
+/**
+ * Token issuance request body (client credentials grant)
+ */
+const issueTokenSchema = Joi.object({
+  clientId: Joi.string().required(),
+  clientSecret: Joi.string().required(),
+  grantType: Joi.string().valid("client_credentials").default("client_credentials")
+});
+
+/**
+ * Token revocation request body
+ */
+const revokeTokenSchema = Joi.object({
+  clientId: Joi.string().required(),
+  clientSecret: Joi.string().required(),
+  token: Joi.string().required()
+});
+
+module.exports = {
+  issueTokenSchema,
+  revokeTokenSchema
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Joi schema for the merged service configuration
+ * Validated once at startup; unknown keys are rejected so typos in override
+ * files surface immediately instead of being silently ignored
+ */
+
+const Joi = require("joi");
+const { partnerSchema } = require("./partnerSchemas");
+const { SCHEDULE_COLUMNS, localeSchema } = require("./exportSchemas");
+
+/**
+ * Signing secret; required in every environment, since only development and
+ * test ship one in their environment files
+ */
+const secretSchema = Joi.string().min(16).required()
+  .messages({
+    "any.required": "{{#label}} must be set for this environment",
+    "string.base": "{{#label}} must be set for this environment"
+  });
+
+/**
+ * Requests allowed per window for each caller tier of a route
+ */
+const rateLimitTiersSchema = Joi.object().pattern(
+  Joi.string().valid("anonymous", "standard", "premium"),
+  Joi.number().integer().min(1)
+);
+
+/**
+ * Complete service configuration, after every layer has been merged
+ */
+const configSchema = Joi.object({
+  environment: Joi.string().required(),
+  debug: Joi.boolean().required(),
+  logLevel: Joi.string().valid("error", "warn", "info", "http", "verbose", "debug", "silly").required(),
+  
+  server: Joi.object({
+    port: Joi.number().port().required(),
+    baseUrl: Joi.string().uri().required()
+  }).required(),
+  
+  endpoints: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+  
+  statusCodes: Joi.object({
+    success: Joi.string().required(),
+    error: Joi.string().required()
+  }).required(),
+  
+  errorCodes: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+  
+  auth: Joi.object({
+    tokenExpiryTime: Joi.number().integer().min(1).required(),
+    tokenSecret: secretSchema,
+    previousSecrets: Joi.array().items(Joi.object({
+      secret: Joi.string().min(16).required(),
+      validUntil: Joi.string().isoDate().allow(null)
+    })).required(),
+    clients: Joi.array().items(Joi.object({
+      clientId: Joi.string().required(),
+      clientSecret: Joi.string().required(),
+      roles: Joi.array().items(Joi.string()).default([]),
+      scopes: Joi.array().items(Joi.string()).default([])
+    })).unique("clientId").required(),
+    roles: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())).required()
+  }).required(),
+  
+  loan: Joi.object({
+    minAmount: Joi.number().min(0).required(),
+    maxAmount: Joi.number().min(Joi.ref("minAmount")).required(),
+    minTenure: Joi.number().integer().min(1).required(),
+    maxTenure: Joi.number().integer().min(Joi.ref("minTenure")).required(),
+    minRoi: Joi.number().min(0).required(),
+    maxRoi: Joi.number().min(Joi.ref("minRoi")).required(),
+    defaultInterestMethod: Joi.string()
+      .valid("reducingMonthly", "flatRate", "dailyReducing", "zeroCost").required(),
+    offerTtlHours: Joi.number().greater(0).required(),
+    expirySweepIntervalMs: Joi.number().integer().min(1).required(),
+    structures: Joi.object({
+      moratorium: Joi.object({
+        maxMonths: Joi.number().integer().min(0).required(),
+        types: Joi.array().items(Joi.string().valid("interestOnly", "fullDeferral")).required()
+      }).required(),
+      step: Joi.object({
+        maxPercent: Joi.number().greater(0).required(),
+        minEveryMonths: Joi.number().integer().min(1).required()
+      }).required(),
+      balloon: Joi.object({
+        maxPercent: Joi.number().min(0).max(100).required()
+      }).required()
+    }).required()
+  }).required(),
+  
+  rateLimit: Joi.object({
+    store: Joi.string().valid("memory").required(),
+    windowMs: Joi.number().integer().min(1).required(),
+    routes: Joi.object({
+      default: rateLimitTiersSchema.required()
+    }).pattern(Joi.string(), rateLimitTiersSchema).required()
+  }).required(),
+  
+  products: Joi.object({
+    catalogFile: Joi.string().required()
+  }).required(),
+  
+  partners: Joi.array().items(partnerSchema).unique("code").required(),
+  
+  requestSigning: Joi.object({
+    maxSkewSeconds: Joi.number().integer().min(1).required(),
+    // Nonces must outlive the skew window, or a replay could slip in after
+    // its nonce is forgotten but while its timestamp is still accepted
+    nonceTtlSeconds: Joi.number().integer().min(Joi.ref("maxSkewSeconds", {
+      adjust: (maxSkewSeconds) => maxSkewSeconds * 2
+    })).required(),
+    nonceStore: Joi.string().valid("memory").required()
+  }).required(),
+  
+  webhooks: Joi.object({
+    maxAttempts: Joi.number().integer().min(1).required(),
+    initialBackoffMs: Joi.number().integer().min(0).required(),
+    maxBackoffMs: Joi.number().integer().min(Joi.ref("initialBackoffMs")).required(),
+    timeoutMs: Joi.number().integer().min(1).required(),
+    dispatchIntervalMs: Joi.number().integer().min(1).required()
+  }).required(),
+  
+  calendar: Joi.object({
+    holidayFile: Joi.string().required(),
+    // At least one day of the week must be a business day for due dates to land on
+    weekendDays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(6).required(),
+    businessDayShift: Joi.string().valid("following", "preceding").required()
+  }).required(),
+  
+  calculators: Joi.object({
+    grid: Joi.object({
+      downpaymentPercents: Joi.array().items(Joi.number().min(0).less(100)).min(1).unique().required(),
+      tenures: Joi.array().items(Joi.number().integer().min(1)).min(1).unique().required(),
+      maxOptions: Joi.number().integer().min(1).required()
+    }).required()
+  }).required(),
+  
+  scheduleExport: Joi.object({
+    locale: localeSchema.required(),
+    currency: Joi.string().pattern(/^[A-Z]{3}$/).required(),
+    csv: Joi.object({
+      columns: Joi.array().items(Joi.string().valid(...SCHEDULE_COLUMNS)).unique().min(1).required(),
+      delimiter: Joi.string().valid(",", ";", "\t").required(),
+      grouping: Joi.boolean().required()
+    }).required()
+  }).required(),
+  
+  stats: Joi.object({
+    tenureBuckets: Joi.array().items(Joi.number().integer().min(1)).min(1).required(),
+    roiBuckets: Joi.array().items(Joi.number().min(0)).min(1).required()
+  }).required(),
+  
+  storage: Joi.object({
+    driver: Joi.string().valid("memory", "file").required(),
+    dataDir: Joi.string().required()
+  }).required()
+});
+
+module.exports = {
+  configSchema
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Joi schemas and constants for exporting a calculated repayment schedule
+ * Shared by the configuration schema and the calculate endpoint
+ */
+
+const Joi = require("joi");
+
+// Formats /api/loan/calculate can answer in, with their media types
+const EXPORT_FORMATS = {
+  json: "application/json",
+  csv: "text/csv",
+  html: "text/html"
+};
+
+// Schedule fields that can be exported as CSV columns, in display order
+const SCHEDULE_COLUMNS = [
+  "month",
+  "phase",
+  "scheduledDueDate",
+  "dueDate",
+  "days",
+  "emi",
+  "principalPaid",
+  "interestPaid",
+  "brokenPeriodInterest",
+  "capitalizedInterest",
+  "balloonPayment",
+  "balance"
+];
+
+/**
+ * BCP 47 locale tag supported by the runtime's Intl implementation
+ */
+const localeSchema = Joi.string().custom((value, helpers) => {
+  try {
+    if (Intl.NumberFormat.supportedLocalesOf(value).length > 0) {
+      return value;
+    }
+  } catch (error) {
+    // Malformed tags throw; they are reported like unsupported ones below
+  }
+  
+  return helpers.message({ custom: "{{#label}} is not a supported locale" });
+});
+
+/**
+ * Export options given as query parameters of /api/loan/calculate
+ * columns is validated once its comma-separated value has been split; a
+ * format outside EXPORT_FORMATS is answered with 406 by the controller
+ */
+const exportQuerySchema = Joi.object({
+  format: Joi.string(),
+  columns: Joi.array()
+    .items(Joi.string().valid(...SCHEDULE_COLUMNS))
+    .unique()
+    .min(1),
+  locale: localeSchema
+}).unknown(true);
+
+module.exports = {
+  EXPORT_FORMATS,
+  SCHEDULE_COLUMNS,
+  localeSchema,
+  exportQuerySchema
+};
\ No newline at end of file
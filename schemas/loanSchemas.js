@@ -0,0 +1,445 @@
+/**
+ * Joi schemas for loan endpoint payloads
+ * Unknown keys are allowed so partners sending extra fields keep working
+ */
+
+const Joi = require("joi");
+const config = require("../config/config");
+const { INTEREST_METHODS } = require("../services/interestMethods");
+const { DEFAULT_ID_FORMATS } = require("./partnerSchemas");
+const { SETTABLE_STATES } = require("../services/offerLifecycle");
+const structuredScheduleService = require("../services/structuredScheduleService");
+
+/**
+ * Positive rupee amount; anything below one paisa has no minor-unit value
+ */
+const paiseAmount = Joi.number().min(0.01);
+
+/**
+ * Upfront charges other than the processing fee
+ */
+const otherChargesSchema = Joi.array()
+  .items(
+    Joi.object({
+      name: Joi.string().required(),
+      amount: Joi.number().min(0).precision(2).required()
+    })
+  )
+  .default([]);
+
+/**
+ * Rejects upfront charges that would consume the whole loan
+ * 
+ * @param {Object} value - Payload with loanAmount, processingFee and otherCharges
+ * @param {Object} helpers - Joi custom rule helpers
+ * @returns {Object} The value, or a Joi error
+ */
+const chargesBelowLoanAmount = (value, helpers) => {
+  const otherCharges = (value.otherCharges || []).reduce((sum, charge) => sum + charge.amount, 0);
+  
+  if (value.processingFee + otherCharges >= value.loanAmount) {
+    return helpers.message({ custom: "upfront charges must be less than the loan amount" });
+  }
+  
+  return value;
+};
+
+/**
+ * Optional calendar fields shared by the loan offer and calculate payloads
+ */
+const calendarKeys = {
+  disbursalDate: Joi.string().isoDate(),
+  emiDueDay: Joi.number().integer().min(1).max(31)
+};
+
+/**
+ * Builds the processing fee rule of a product
+ * The fee may not exceed the product's maxAmount, nor maxPercent of the
+ * loan amount, whichever is lower
+ * 
+ * @param {Object} feeRule - Product's processingFee rule, if any
+ * @returns {Object} Joi schema for processingFee
+ */
+const processingFeeSchemaFor = (feeRule = {}) => {
+  const schema = Joi.number().strict().min(feeRule.minAmount || 0).precision(2).required();
+  
+  if (feeRule.maxAmount === undefined && feeRule.maxPercent === undefined) {
+    return schema;
+  }
+  
+  return schema
+    .max(Joi.ref("loanAmount", {
+      adjust: (loanAmount) => Math.min(
+        feeRule.maxAmount === undefined ? Infinity : feeRule.maxAmount,
+        feeRule.maxPercent === undefined || typeof loanAmount !== "number"
+          ? Infinity
+          : loanAmount * feeRule.maxPercent / 100
+      )
+    }))
+    .messages({ "number.max": "{{#label}} exceeds the product's fee limit" });
+};
+
+/**
+ * Builds the loan offer data schema for a product's rules, as sent in the
+ * "data" field of loanOffer and validate requests
+ * 
+ * @param {Object} rules - Product from the catalog, or the default rules
+ *   (see productService)
+ * @param {Object} idFormats - Patterns of the caller's orderId,
+ *   transactionId and tvsTransactionId
+ * @returns {Object} Joi schema
+ */
+const buildLoanOfferDataSchema = (rules, idFormats) => {
+  const tenure = rules.tenures
+    ? Joi.number().strict().integer().valid(...rules.tenures).required()
+      .messages({ "any.only": `tenure must be one of ${rules.tenures.join(", ")} months` })
+    : Joi.number().strict().integer().min(rules.tenureRange.min).max(rules.tenureRange.max).required();
+  
+  return Joi.object({
+    productCode: Joi.string(),
+    orderId: Joi.string().pattern(new RegExp(idFormats.orderId)).required()
+      .messages({ "string.pattern.base": "orderId format is invalid" }),
+    transactionId: Joi.string().pattern(new RegExp(idFormats.transactionId)).required()
+      .messages({ "string.pattern.base": "transactionId format is invalid" }),
+    tvsTransactionId: Joi.string().pattern(new RegExp(idFormats.tvsTransactionId)).required()
+      .messages({ "string.pattern.base": "tvsTransactionId format is invalid" }),
+    loanAmount: Joi.number().strict().min(rules.amount.min).max(rules.amount.max).required(),
+    roi: Joi.number().strict().min(rules.roi.min).max(rules.roi.max).required(),
+    tenure,
+    downpayment: Joi.number().strict().min(0).required(),
+    processingFee: processingFeeSchemaFor(rules.fees.processingFee),
+    otherCharges: otherChargesSchema,
+    interestMethod: Joi.string().valid(...rules.interestMethods),
+    backRedirectionURL: Joi.string().uri({ scheme: ["https", "http"] }).allow(""),
+    ...calendarKeys
+  })
+    .unknown(true)
+    .custom(chargesBelowLoanAmount);
+};
+
+// Built schemas by rules object, then by ID formats; reloading the catalog
+// creates new product objects, so stale schemas are dropped with the old
+// catalog
+const loanOfferDataSchemas = new WeakMap();
+
+/**
+ * Returns the loan offer data schema for a product's rules and a caller's
+ * ID formats
+ * 
+ * @param {Object} rules - Product from the catalog, or the default rules
+ * @param {Object} idFormats - Partner's ID formats (defaults to
+ *   DEFAULT_ID_FORMATS, for callers that are not partners)
+ * @returns {Object} Joi schema
+ */
+const loanOfferDataSchemaFor = (rules, idFormats = DEFAULT_ID_FORMATS) => {
+  if (!loanOfferDataSchemas.has(rules)) {
+    loanOfferDataSchemas.set(rules, new Map());
+  }
+  
+  const byIdFormats = loanOfferDataSchemas.get(rules);
+  const key = JSON.stringify([idFormats.orderId, idFormats.transactionId, idFormats.tvsTransactionId]);
+  
+  if (!byIdFormats.has(key)) {
+    byIdFormats.set(key, buildLoanOfferDataSchema(rules, idFormats));
+  }
+  
+  return byIdFormats.get(key);
+};
+
+/**
+ * Keys identifying a stored offer in loanStatus, cancelOffer and updateOffer
+ * requests; exactly one of them must be sent
+ */
+const offerReferenceKeys = {
+  orderId: Joi.string(),
+  transactionId: Joi.string()
+};
+
+/**
+ * loanStatus request data
+ */
+const loanStatusSchema = Joi.object(offerReferenceKeys)
+  .unknown(true)
+  .xor("orderId", "transactionId")
+  .label("data");
+
+/**
+ * cancelOffer request data
+ */
+const cancelOfferSchema = Joi.object({
+  ...offerReferenceKeys,
+  reason: Joi.string().max(500)
+})
+  .unknown(true)
+  .xor("orderId", "transactionId")
+  .label("data");
+
+/**
+ * updateOffer request data; the amended values are checked against the
+ * offer's product rules by loanService
+ */
+const updateOfferSchema = Joi.object({
+  ...offerReferenceKeys,
+  loanAmount: Joi.number().strict(),
+  tenure: Joi.number().strict().integer()
+})
+  .unknown(true)
+  .xor("orderId", "transactionId")
+  .or("loanAmount", "tenure")
+  .label("data");
+
+/**
+ * Body of the admin offer status update; whether the offer may move to the
+ * requested state is checked by the offer lifecycle
+ */
+const updateOfferStatusSchema = Joi.object({
+  status: Joi.string().valid(...SETTABLE_STATES).required(),
+  reason: Joi.string().max(500)
+});
+
+/**
+ * A single prepayment in a calculate request
+ * Month limits refer to the request's tenure, four levels up
+ */
+const prepaymentSchema = Joi.object({
+  type: Joi.string().valid("oneTime", "recurring").required(),
+  mode: Joi.string().valid("reduceTenure", "reduceEmi").required(),
+  amount: paiseAmount.required(),
+  month: Joi.when("type", {
+    is: "oneTime",
+    then: Joi.number().integer().min(1).max(Joi.ref("....tenure")).required(),
+    otherwise: Joi.forbidden()
+  }),
+  startMonth: Joi.when("type", {
+    is: "recurring",
+    then: Joi.number().integer().min(1).max(Joi.ref("....tenure")).required(),
+    otherwise: Joi.forbidden()
+  }),
+  endMonth: Joi.when("type", {
+    is: "recurring",
+    then: Joi.number().integer().min(Joi.ref("startMonth")).max(Joi.ref("....tenure")),
+    otherwise: Joi.forbidden()
+  }),
+  everyMonths: Joi.when("type", {
+    is: "recurring",
+    then: Joi.number().integer().min(1).default(1),
+    otherwise: Joi.forbidden()
+  })
+}).messages({
+  "number.max": "{{#label}} must not be after the last month of the tenure"
+});
+
+/**
+ * Rejects a structure whose first installment would not cover its interest,
+ * so the balance would grow (negative amortization)
+ * 
+ * @param {Object} structure - Structure from a calculate request
+ * @param {Object} helpers - Joi custom rule helpers
+ * @returns {Object} The structure, or a Joi error
+ */
+const repaysPrincipalFromStart = (structure, helpers) => {
+  const { loanAmount, roi, tenure } = helpers.state.ancestors[0];
+  
+  if ([loanAmount, roi, tenure].some((value) => typeof value !== "number")) {
+    return structure;
+  }
+  
+  if (!structuredScheduleService.repaysPrincipalFromStart(loanAmount, roi, tenure, structure)) {
+    return helpers.message({
+      custom: "{{#label}} leaves the first installment below its interest; use a smaller step-up or balloon"
+    });
+  }
+  
+  return structure;
+};
+
+/**
+ * Builds the moratorium, step and balloon structure schema for a set of
+ * structure limits; structures without limits are not offered
+ * 
+ * @param {Object} structureRules - Product's structure limits, or
+ *   config.loan.structures
+ * @returns {Object} Joi schema
+ */
+const buildStructureSchema = (structureRules) => {
+  const notOffered = Joi.forbidden()
+    .messages({ "any.unknown": "{{#label}} is not offered for this product" });
+  const { moratorium, step, balloon } = structureRules;
+  
+  return Joi.object({
+    moratorium: moratorium
+      ? Joi.object({
+        type: Joi.string().valid(...moratorium.types).required(),
+        months: Joi.number().integer().min(1).max(moratorium.maxMonths)
+          .less(Joi.ref("....tenure")).required()
+          .messages({ "number.less": "{{#label}} must be less than the tenure" })
+      })
+      : notOffered,
+    step: step
+      ? Joi.object({
+        type: Joi.string().valid("up", "down").required(),
+        percent: Joi.number().greater(0).max(step.maxPercent).required(),
+        everyMonths: Joi.number().integer().min(step.minEveryMonths).required()
+      })
+      : notOffered,
+    balloon: balloon
+      ? Joi.object({
+        amount: paiseAmount
+          .max(Joi.ref("....loanAmount", {
+            adjust: (loanAmount) => loanAmount * balloon.maxPercent / 100
+          }))
+          .required()
+          .messages({
+            "number.max": `{{#label}} must be at most ${balloon.maxPercent}% of the loan amount`
+          })
+      })
+      : notOffered
+  })
+    .or("moratorium", "step", "balloon")
+    .custom(repaysPrincipalFromStart);
+};
+
+/**
+ * Builds the calculate request body schema for a product's rules
+ * Numbers may be sent as strings and are converted
+ * 
+ * @param {Object} rules - Product from the catalog, or the default rules
+ *   (see productService)
+ * @returns {Object} Joi schema
+ */
+const buildCalculateSchema = (rules) => {
+  // Held to the product's limits, which also bound the work a schedule takes
+  const tenure = rules.tenures
+    ? Joi.number().integer().valid(...rules.tenures).required()
+      .messages({ "any.only": `tenure must be one of ${rules.tenures.join(", ")} months` })
+    : Joi.number().integer().min(rules.tenureRange.min).max(rules.tenureRange.max).required();
+  
+  return Joi.object({
+    productCode: Joi.string(),
+    loanAmount: Joi.number().min(rules.amount.min).max(rules.amount.max).required(),
+    roi: Joi.number().min(rules.roi.min).max(rules.roi.max).required(),
+    tenure,
+    // A product's first interest method is its default
+    interestMethod: Joi.string().valid(...rules.interestMethods).default(rules.interestMethods[0]),
+    processingFee: Joi.number().min(0).precision(2).default(0),
+    otherCharges: otherChargesSchema,
+    prepayments: Joi.when("interestMethod", {
+      is: "reducingMonthly",
+      // The simulation runs on the plain monthly schedule, without the broken
+      // period a disbursal date or EMI due day adds, so its savings would not
+      // match
+      then: Joi.array().items(prepaymentSchema)
+        .when("disbursalDate", {
+          is: Joi.exist(),
+          then: Joi.forbidden().messages({
+            "any.unknown": "prepayments cannot be simulated together with a disbursalDate"
+          })
+        })
+        .when("emiDueDay", {
+          is: Joi.exist(),
+          then: Joi.forbidden().messages({
+            "any.unknown": "prepayments cannot be simulated together with an emiDueDay"
+          })
+        }),
+      otherwise: Joi.forbidden().messages({
+        "any.unknown": "prepayments can only be simulated with the reducingMonthly interest method"
+      })
+    }),
+    structure: Joi.when("interestMethod", {
+      is: "reducingMonthly",
+      then: rules.structures
+        ? buildStructureSchema(rules.structures)
+        : Joi.forbidden().messages({ "any.unknown": "structure is not offered for this product" }),
+      otherwise: Joi.forbidden().messages({
+        "any.unknown": "structure requires the reducingMonthly interest method"
+      })
+    }),
+    ...calendarKeys
+  })
+    .unknown(true)
+    .oxor("prepayments", "structure")
+    .custom(chargesBelowLoanAmount);
+};
+
+// Built schemas by rules object, as for the loan offer data schemas
+const calculateSchemas = new WeakMap();
+
+/**
+ * Returns the calculate request body schema for a product's rules
+ * 
+ * @param {Object} rules - Product from the catalog, or the default rules
+ * @returns {Object} Joi schema
+ */
+const calculateSchemaFor = (rules) => {
+  if (!calculateSchemas.has(rules)) {
+    calculateSchemas.set(rules, buildCalculateSchema(rules));
+  }
+  
+  return calculateSchemas.get(rules);
+};
+
+/**
+ * Fields shared by the reverse calculators
+ * ROI and tenures are held to the config.loan limits offers must meet
+ */
+const calculatorKeys = {
+  roi: Joi.number().min(config.loan.minRoi).max(config.loan.maxRoi).required(),
+  interestMethod: Joi.string().valid(...INTEREST_METHODS)
+    .default(config.loan.defaultInterestMethod)
+};
+
+const calculatorTenure = Joi.number().integer()
+  .min(config.loan.minTenure)
+  .max(config.loan.maxTenure);
+
+/**
+ * Maximum loan amount request body: the EMI budget, ROI and tenure
+ */
+const maxLoanAmountSchema = Joi.object({
+  ...calculatorKeys,
+  emi: paiseAmount.required(),
+  tenure: calculatorTenure.required()
+}).unknown(true);
+
+/**
+ * Required tenure request body: the loan amount, EMI budget and ROI
+ */
+const requiredTenureSchema = Joi.object({
+  ...calculatorKeys,
+  loanAmount: Joi.number().min(config.loan.minAmount).max(config.loan.maxAmount).required(),
+  emi: paiseAmount.required()
+}).unknown(true);
+
+/**
+ * Downpayment and tenure grid request body
+ * Downpayments are given either as amounts or as percentages of the asset
+ * price; both lists default to config.calculators.grid
+ */
+const optionsGridSchema = Joi.object({
+  ...calculatorKeys,
+  assetPrice: paiseAmount.precision(2).required(),
+  downpayments: Joi.array()
+    .items(Joi.number().min(0).precision(2).less(Joi.ref("...assetPrice"))
+      .messages({ "number.less": "{{#label}} must be less than the asset price" }))
+    .min(1).max(config.calculators.grid.maxOptions).unique(),
+  downpaymentPercents: Joi.array()
+    .items(Joi.number().min(0).less(100))
+    .min(1).max(config.calculators.grid.maxOptions).unique(),
+  tenures: Joi.array()
+    .items(calculatorTenure)
+    .min(1).max(config.calculators.grid.maxOptions).unique()
+})
+  .unknown(true)
+  .oxor("downpayments", "downpaymentPercents");
+
+module.exports = {
+  loanOfferDataSchemaFor,
+  loanStatusSchema,
+  cancelOfferSchema,
+  updateOfferSchema,
+  updateOfferStatusSchema,
+  calculateSchemaFor,
+  maxLoanAmountSchema,
+  requiredTenureSchema,
+  optionsGridSchema
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Joi schemas for partner registry entries
+ * Used both for the partners seeded from configuration and for the admin
+ * partner endpoints
+ */
+
+const Joi = require("joi");
+const { OFFER_EVENTS } = require("../services/offerEvents");
+
+// Actions a partner can be allowed to call
+const PARTNER_ACTIONS = [
+  "loanOffer",
+  "loanStatus",
+  "cancelOffer",
+  "updateOffer",
+  "validate",
+  "readOffers"
+];
+
+// Formats of the identifiers in a loan offer, for partners that set none
+const DEFAULT_ID_FORMATS = {
+  orderId: "^ORD[0-9]{6,10}$",
+  transactionId: "^TXN[0-9]{4,12}$",
+  tvsTransactionId: "^[A-Za-z0-9-]{4,36}$"
+};
+
+/**
+ * Regular expression source, kept as a string so partners can be stored as JSON
+ */
+const patternSchema = Joi.string().custom((value, helpers) => {
+  try {
+    new RegExp(value);
+    return value;
+  } catch (error) {
+    return helpers.message({ custom: "{{#label}} is not a valid regular expression" });
+  }
+});
+
+/**
+ * API client of a partner; the secret is only given when creating or
+ * rotating it and is stored hashed
+ */
+const clientSchema = Joi.object({
+  clientId: Joi.string().required(),
+  clientSecret: Joi.string().min(12),
+  scopes: Joi.array().items(Joi.string()).default([])
+});
+
+/**
+ * Settings of a partner, shared by creation and update
+ */
+const partnerSettings = {
+  name: Joi.string().max(120),
+  status: Joi.string().valid("ACTIVE", "SUSPENDED"),
+  clients: Joi.array().items(clientSchema).unique("clientId"),
+  allowedActions: Joi.array().items(Joi.string().valid(...PARTNER_ACTIONS)).unique(),
+  // Products the partner may offer; null allows every product in the catalog
+  productCodes: Joi.array().items(Joi.string()).unique().allow(null),
+  rateTier: Joi.string().valid("standard", "premium"),
+  idFormats: Joi.object({
+    orderId: patternSchema.default(DEFAULT_ID_FORMATS.orderId),
+    transactionId: patternSchema.default(DEFAULT_ID_FORMATS.transactionId),
+    tvsTransactionId: patternSchema.default(DEFAULT_ID_FORMATS.tvsTransactionId)
+  }),
+  // Origins and path patterns customers may be redirected back to; "*" in a
+  // path matches any run of characters. signed appends orderId/status/timestamp
+  // parameters to the redirect, signed with the partner's own secret
+  redirect: Joi.object({
+    allowlist: Joi.array().items(Joi.object({
+      origin: Joi.string().uri().required(),
+      paths: Joi.array().items(Joi.string()).min(1).required()
+    })).default([]),
+    signed: Joi.boolean().default(false),
+    secret: Joi.string().min(16).when("signed", { is: true, then: Joi.required() })
+  }),
+  // Body signing secret; required partners must sign every fkApiServices.do call
+  requestSigning: Joi.object({
+    secret: Joi.string().min(16).required(),
+    required: Joi.boolean().default(false)
+  }).allow(null),
+  webhook: Joi.object({
+    url: Joi.string().uri({ scheme: ["https", "http"] }).required(),
+    secret: Joi.string().min(16).required(),
+    events: Joi.array().items(Joi.string().valid(...Object.values(OFFER_EVENTS))).min(1).required()
+  }).allow(null)
+};
+
+/**
+ * New partner, with defaults applied to every setting left out
+ */
+const partnerSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Z0-9_]{2,32}$/).required()
+    .messages({ "string.pattern.base": "code must be 2-32 upper-case letters, digits or underscores" }),
+  ...partnerSettings,
+  name: partnerSettings.name.default(Joi.ref("code")),
+  status: partnerSettings.status.default("ACTIVE"),
+  clients: Joi.array()
+    .items(clientSchema.keys({ clientSecret: Joi.string().min(12).required() }))
+    .unique("clientId")
+    .default([]),
+  allowedActions: partnerSettings.allowedActions.default(() => [...PARTNER_ACTIONS]),
+  productCodes: partnerSettings.productCodes.default(null),
+  rateTier: partnerSettings.rateTier.default("standard"),
+  idFormats: partnerSettings.idFormats.default(() => ({ ...DEFAULT_ID_FORMATS })),
+  redirect: partnerSettings.redirect.default(() => ({ allowlist: [], signed: false })),
+  requestSigning: partnerSettings.requestSigning.default(null),
+  webhook: partnerSettings.webhook.default(null)
+});
+
+/**
+ * Changes to an existing partner; each setting given replaces the stored one
+ */
+const partnerUpdateSchema = Joi.object(partnerSettings).min(1);
+
+module.exports = {
+  PARTNER_ACTIONS,
+  DEFAULT_ID_FORMATS,
+  partnerSchema,
+  partnerUpdateSchema
+};
\ No newline at end of file
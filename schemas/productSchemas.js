@@ -0,0 +1,67 @@
+/**
+ * Joi schema for the loan product catalog file
+ */
+
+const Joi = require("joi");
+const { INTEREST_METHODS } = require("../services/interestMethods");
+
+/**
+ * Inclusive numeric band, min not above max
+ */
+const bandSchema = Joi.object({
+  min: Joi.number().min(0).required(),
+  max: Joi.number().min(Joi.ref("min")).required()
+});
+
+/**
+ * Limits on the moratorium, step and balloon repayment structures, in the
+ * shape of config.loan.structures; a structure left out is not offered
+ */
+const structureRulesSchema = Joi.object({
+  moratorium: Joi.object({
+    maxMonths: Joi.number().integer().min(0).required(),
+    types: Joi.array().items(Joi.string().valid("interestOnly", "fullDeferral")).required()
+  }),
+  step: Joi.object({
+    maxPercent: Joi.number().greater(0).required(),
+    minEveryMonths: Joi.number().integer().min(1).required()
+  }),
+  balloon: Joi.object({
+    maxPercent: Joi.number().min(0).max(100).required()
+  })
+});
+
+/**
+ * A single product: limits, fee rules, interest methods (the first being
+ * the default), the repayment structures it offers (none when not set) and
+ * how long its offers stay open (config.loan.offerTtlHours when not set)
+ */
+const productSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Z0-9_]+$/).required(),
+  name: Joi.string().required(),
+  amount: bandSchema.required(),
+  tenures: Joi.array().items(Joi.number().integer().min(1)).min(1).unique().required(),
+  roi: bandSchema.required(),
+  fees: Joi.object({
+    processingFee: Joi.object({
+      minAmount: Joi.number().min(0).default(0),
+      maxAmount: Joi.number().min(Joi.ref("minAmount")),
+      maxPercent: Joi.number().min(0).max(100)
+    })
+  }).default({}),
+  interestMethods: Joi.array().items(Joi.string().valid(...INTEREST_METHODS))
+    .min(1).unique().required(),
+  structures: structureRulesSchema,
+  offerTtlHours: Joi.number().greater(0)
+});
+
+/**
+ * Product catalog file
+ */
+const productCatalogSchema = Joi.object({
+  products: Joi.array().items(productSchema).min(1).unique("code").required()
+});
+
+module.exports = {
+  productCatalogSchema
+};
\ No newline at end of file
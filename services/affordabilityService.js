@@ -0,0 +1,197 @@
+/**
+ * Service for the reverse loan calculators
+ * 
+ * Works back from what a customer can pay: the largest loan an EMI budget
+ * covers, the shortest tenure that brings an amount within the budget, and
+ * a grid of downpayment and tenure options for an asset. EMIs come from the
+ * same interest methods as /api/loan/calculate, and every amount and tenure
+ * returned stays within the config.loan limits.
+ */
+
+const config = require("../config/config");
+const { getInterestMethod } = require("./interestMethods");
+const { calculateLoan } = require("./loanService");
+const { toMinorUnits, fromMinorUnits, roundCurrency, addAmounts } = require("../utils/money");
+
+/**
+ * Finds the largest loan amount, in whole rupees, whose EMI fits a budget
+ * EMIs rise with the amount, so the amount is found by bisection between
+ * config.loan.minAmount and config.loan.maxAmount
+ * 
+ * @param {Object} request - Validated request
+ * @param {Number} request.emi - Monthly EMI budget
+ * @param {Number} request.roi - Rate of interest (annual percentage)
+ * @param {Number} request.tenure - Loan term in months
+ * @param {String} request.interestMethod - Interest method name
+ * @returns {Object} The amount, its EMI and the limit that capped it
+ *   ("emi" or "maxAmount"), or the error code and message when the budget
+ *   does not cover the minimum amount
+ */
+const findMaxLoanAmount = ({ emi, roi, tenure, interestMethod }) => {
+  const method = getInterestMethod(interestMethod);
+  const { minAmount, maxAmount } = config.loan;
+  const fits = (amount) => method.calculateEmi(amount, roi, tenure) <= emi;
+  
+  if (!fits(minAmount)) {
+    return {
+      errorCode: config.errorCodes.invalidLoanAmount,
+      message: `An EMI of ${emi} does not cover the minimum loan amount of ${minAmount} over ${tenure} months`
+    };
+  }
+  
+  if (fits(maxAmount)) {
+    return {
+      result: {
+        loanAmount: maxAmount,
+        emi: method.calculateEmi(maxAmount, roi, tenure),
+        limitedBy: "maxAmount"
+      }
+    };
+  }
+  
+  // low always fits the budget and high never does
+  let low = minAmount;
+  let high = Math.floor(maxAmount);
+  
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    
+    if (fits(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return {
+    result: {
+      loanAmount: low,
+      emi: method.calculateEmi(low, roi, tenure),
+      limitedBy: "emi"
+    }
+  };
+};
+
+/**
+ * Finds the shortest tenure whose EMI fits a budget
+ * 
+ * @param {Object} request - Validated request
+ * @param {Number} request.loanAmount - Loan amount
+ * @param {Number} request.emi - Monthly EMI budget
+ * @param {Number} request.roi - Rate of interest (annual percentage)
+ * @param {String} request.interestMethod - Interest method name
+ * @returns {Object} The tenure, its EMI and the limit that set it ("emi", or
+ *   "minTenure" when a shorter tenure would also fit), or the error code and
+ *   message when the budget is too low even at config.loan.maxTenure
+ */
+const findRequiredTenure = ({ loanAmount, emi, roi, interestMethod }) => {
+  const method = getInterestMethod(interestMethod);
+  const { minTenure, maxTenure } = config.loan;
+  
+  for (let tenure = minTenure; tenure <= maxTenure; tenure++) {
+    const tenureEmi = method.calculateEmi(loanAmount, roi, tenure);
+    
+    if (tenureEmi <= emi) {
+      return {
+        result: {
+          tenure,
+          emi: tenureEmi,
+          limitedBy: tenure === minTenure ? "minTenure" : "emi"
+        }
+      };
+    }
+  }
+  
+  return {
+    errorCode: config.errorCodes.invalidTenure,
+    message: `An EMI of ${emi} cannot repay ${loanAmount} within the maximum tenure of ${maxTenure} months`
+  };
+};
+
+/**
+ * Prices one downpayment and tenure combination of the grid
+ * 
+ * @param {Number} loanAmount - Asset price less the downpayment
+ * @param {Number} downpayment - Downpayment
+ * @param {Number} tenure - Loan term in months
+ * @param {Object} request - Validated grid request (roi, interestMethod)
+ * @returns {Object} EMI and totals, or the reason the option is unavailable
+ */
+const priceGridOption = (loanAmount, downpayment, tenure, { roi, interestMethod }) => {
+  const { minAmount, maxAmount, minTenure, maxTenure } = config.loan;
+  
+  // Requested tenures are validated; the configured defaults are checked here
+  if (tenure < minTenure || tenure > maxTenure) {
+    return {
+      tenure,
+      available: false,
+      reason: `Tenure must be between ${minTenure} and ${maxTenure} months`
+    };
+  }
+  
+  if (loanAmount < minAmount || loanAmount > maxAmount) {
+    return {
+      tenure,
+      available: false,
+      reason: loanAmount < minAmount
+        ? `Loan amount is below the minimum of ${minAmount}`
+        : `Loan amount is above the maximum of ${maxAmount}`
+    };
+  }
+  
+  const calculation = calculateLoan(loanAmount, roi, tenure, interestMethod);
+  
+  return {
+    tenure,
+    available: true,
+    emi: calculation.emi,
+    totalInterest: calculation.totalInterest,
+    totalCost: addAmounts(downpayment, calculation.totalAmount)
+  };
+};
+
+/**
+ * Builds a grid of downpayment and tenure options for an asset
+ * Downpayments are given as amounts or as percentages of the asset price,
+ * defaulting to config.calculators.grid.downpaymentPercents; tenures
+ * default to config.calculators.grid.tenures
+ * 
+ * @param {Object} request - Validated request
+ * @param {Number} request.assetPrice - Price of the asset
+ * @param {Number} request.roi - Rate of interest (annual percentage)
+ * @param {String} request.interestMethod - Interest method name
+ * @param {Array} request.downpayments - Downpayment amounts
+ * @param {Array} request.downpaymentPercents - Downpayments as percentages
+ * @param {Array} request.tenures - Loan terms in months
+ * @returns {Object} One row per downpayment, each with an option per tenure
+ */
+const buildOptionsGrid = (request) => {
+  const { assetPrice, roi, interestMethod } = request;
+  const defaults = config.calculators.grid;
+  const tenures = request.tenures || defaults.tenures;
+  
+  const downpayments = request.downpayments ||
+    (request.downpaymentPercents || defaults.downpaymentPercents)
+      .map((percent) => roundCurrency(assetPrice * percent / 100));
+  
+  const rows = downpayments.map((downpayment) => {
+    const loanAmount = fromMinorUnits(toMinorUnits(assetPrice) - toMinorUnits(downpayment));
+    
+    return {
+      downpayment,
+      downpaymentPercent: Math.round(downpayment / assetPrice * 10000) / 100,
+      loanAmount,
+      options: tenures.map((tenure) => priceGridOption(loanAmount, downpayment, tenure, request))
+    };
+  });
+  
+  return {
+    result: { assetPrice, roi, interestMethod, tenures, rows }
+  };
+};
+
+module.exports = {
+  findMaxLoanAmount,
+  findRequiredTenure,
+  buildOptionsGrid
+};
\ No newline at end of file
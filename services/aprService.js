@@ -0,0 +1,145 @@
+/**
+ * Service that computes the true cost of credit for a loan
+ * 
+ * The APR is derived from the internal rate of return (IRR) of the
+ * borrower's cash flows: the net amount actually disbursed after upfront
+ * charges, against the installments repaid. Unlike the quoted ROI it
+ * reflects processing fees and other charges deducted at disbursal.
+ * 
+ * Schedules laid out on the repayment calendar discount each installment by
+ * the actual days from disbursal to its due date (XIRR), so a broken period
+ * and business-day shifts count; other schedules are discounted month by
+ * month.
+ */
+
+const { addAmounts, sumAmounts } = require("../utils/money");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Rounds a number to 2 decimal places
+ * 
+ * @param {Number} value - Value to round
+ * @returns {Number} Rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Solves for the periodic rate at which the present value of the payments
+ * equals the amount received
+ * The present value falls as the rate rises, so bisection always converges
+ * 
+ * @param {Number} amountReceived - Net amount received at the start
+ * @param {Array} payments - Payment amounts
+ * @param {Array} periods - Time of each payment in periods after the start,
+ *   which may be fractional; defaults to one payment per period
+ * @returns {Number} Periodic IRR as a decimal
+ */
+const solvePeriodicIrr = (amountReceived, payments, periods = payments.map((payment, index) => index + 1)) => {
+  const presentValue = (rate) => payments.reduce(
+    (sum, payment, index) => sum + payment / Math.pow(1 + rate, periods[index]), 0
+  );
+  
+  let low = -0.9999;
+  let high = 10;
+  
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const mid = (low + high) / 2;
+    
+    if (presentValue(mid) > amountReceived) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    
+    if (high - low < 1e-12) {
+      break;
+    }
+  }
+  
+  return (low + high) / 2;
+};
+
+/**
+ * Sums the amounts of a list of upfront charges
+ * 
+ * @param {Array} otherCharges - Charges as { name, amount }
+ * @returns {Number} Total of the charges
+ */
+const sumCharges = (otherCharges = []) => {
+  return sumAmounts(otherCharges, "amount");
+};
+
+/**
+ * Calculates the APR and effective annual rate of a loan
+ * 
+ * @param {Number} netDisbursal - Amount received after upfront charges
+ * @param {Array} schedule - Schedule rows, one installment per month
+ * @param {String} disbursalDate - YYYY-MM-DD disbursal date of a schedule
+ *   laid out on the repayment calendar, whose rows carry their dueDate
+ * @returns {Object} APR and effective annual rate (percentages)
+ */
+const calculateApr = (netDisbursal, schedule, disbursalDate) => {
+  const payments = schedule.map((row) => row.emi);
+  
+  if (disbursalDate) {
+    const start = Date.parse(disbursalDate);
+    const years = schedule.map((row) => (Date.parse(row.dueDate) - start) / MS_PER_DAY / DAYS_PER_YEAR);
+    const annualIrr = solvePeriodicIrr(netDisbursal, payments, years);
+    
+    // Quoted like the ROI: twelve times the equivalent monthly rate
+    return {
+      apr: round2((Math.pow(1 + annualIrr, 1 / 12) - 1) * 12 * 100),
+      effectiveAnnualRate: round2(annualIrr * 100)
+    };
+  }
+  
+  const monthlyIrr = solvePeriodicIrr(netDisbursal, payments);
+  
+  return {
+    apr: round2(monthlyIrr * 12 * 100),
+    effectiveAnnualRate: round2((Math.pow(1 + monthlyIrr, 12) - 1) * 100)
+  };
+};
+
+/**
+ * Builds a Key Fact Statement style summary of the cost of a loan
+ * 
+ * @param {Object} loan - Loan terms and charges
+ * @param {Number} loan.loanAmount - Loan amount
+ * @param {Number} loan.roi - Quoted rate of interest (annual percentage)
+ * @param {Number} loan.tenure - Loan term in months
+ * @param {Number} loan.downpayment - Downpayment paid by the customer
+ * @param {Number} loan.processingFee - Processing fee deducted at disbursal
+ * @param {Array} loan.otherCharges - Other upfront charges as { name, amount }
+ * @param {Object} calculation - Result of loanService.calculateLoan
+ * @returns {Object} Key Fact Statement summary
+ */
+const buildKeyFactStatement = (loan, calculation) => {
+  const { processingFee = 0, otherCharges = [] } = loan;
+  const totalUpfrontCharges = addAmounts(processingFee, sumCharges(otherCharges));
+  const netDisbursal = addAmounts(loan.loanAmount, -totalUpfrontCharges);
+  
+  return {
+    loanAmount: loan.loanAmount,
+    downpayment: loan.downpayment || 0,
+    tenure: loan.tenure,
+    interestMethod: calculation.interestMethod,
+    roi: loan.roi,
+    emi: calculation.emi,
+    processingFee,
+    otherCharges,
+    totalUpfrontCharges,
+    netDisbursal,
+    totalInterest: calculation.totalInterest,
+    totalPayable: addAmounts(calculation.totalAmount, totalUpfrontCharges),
+    ...calculateApr(netDisbursal, calculation.schedule, calculation.disbursalDate)
+  };
+};
+
+module.exports = {
+  solvePeriodicIrr,
+  calculateApr,
+  buildKeyFactStatement
+};
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Service for the tamper-evident audit trail
+ * 
+ * Entries are append-only and hash-chained: each entry stores the hash of
+ * the one before it, and its own hash is the SHA-256 of that previous hash
+ * and the entry's canonical JSON. Changing, removing or reordering any entry
+ * breaks the chain from that point on, which verifyChain detects.
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("../stores");
+const { canonicalize } = require("../utils/fingerprint");
+
+// Hash the first entry chains from
+const GENESIS_HASH = "0".repeat(64);
+
+const auditEntries = getStore("auditLog");
+
+/**
+ * Returns every entry in chain order
+ * 
+ * @returns {Array} Audit entries sorted by sequence
+ */
+const getOrderedEntries = () => {
+  return auditEntries.values().sort((a, b) => a.sequence - b.sequence);
+};
+
+/**
+ * Computes the hash of an entry
+ * 
+ * @param {Object} entry - Audit entry, with or without its hash
+ * @returns {String} Hex-encoded SHA-256
+ */
+const hashEntry = (entry) => {
+  const { hash, ...content } = entry;
+  
+  return crypto
+    .createHash("sha256")
+    .update(`${content.previousHash}:${canonicalize(content)}`)
+    .digest("hex");
+};
+
+// Head of the chain, restored from whatever the store already holds (file driver)
+const lastEntry = getOrderedEntries().pop();
+let head = {
+  sequence: lastEntry ? lastEntry.sequence : 0,
+  hash: lastEntry ? lastEntry.hash : GENESIS_HASH
+};
+
+/**
+ * Appends an entry to the audit trail
+ * 
+ * @param {Object} record - What happened
+ * @param {String} record.action - Audited action (e.g. "loanOffer")
+ * @param {Object} record.principal - Caller, if authenticated
+ * @param {Object} record.request - Masked request payload
+ * @param {String} record.decision - ACCEPTED or REJECTED
+ * @param {String} record.errorCode - Error code of a rejection
+ * @returns {Object} The stored entry, including its hash
+ */
+const appendEntry = (record) => {
+  const entry = {
+    sequence: head.sequence + 1,
+    timestamp: new Date().toISOString(),
+    ...record,
+    previousHash: head.hash
+  };
+  
+  entry.hash = hashEntry(entry);
+  auditEntries.set(String(entry.sequence), entry);
+  head = { sequence: entry.sequence, hash: entry.hash };
+  
+  return entry;
+};
+
+/**
+ * Lists entries matching the given filters, newest first
+ * 
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.action - Audited action
+ * @param {String} filters.principal - Principal ID
+ * @param {String} filters.partner - Partner code
+ * @param {String} filters.decision - ACCEPTED or REJECTED
+ * @param {String} filters.errorCode - Error code
+ * @param {String} filters.from - ISO date, entries on or after
+ * @param {String} filters.to - ISO date, entries on or before
+ * @param {Number} filters.limit - Page size
+ * @param {Number} filters.offset - Number of matching entries to skip
+ * @returns {Object} Total match count and the requested page of entries
+ */
+const queryEntries = (filters = {}) => {
+  const { limit = 50, offset = 0 } = filters;
+  
+  const matches = getOrderedEntries()
+    .reverse()
+    .filter((entry) => {
+      const principal = entry.principal || {};
+      
+      if (filters.action && entry.action !== filters.action) {
+        return false;
+      }
+      if (filters.principal && principal.id !== filters.principal) {
+        return false;
+      }
+      if (filters.partner && principal.partner !== filters.partner) {
+        return false;
+      }
+      if (filters.decision && entry.decision !== filters.decision) {
+        return false;
+      }
+      if (filters.errorCode && entry.errorCode !== filters.errorCode) {
+        return false;
+      }
+      if (filters.from && entry.timestamp < filters.from) {
+        return false;
+      }
+      if (filters.to && entry.timestamp > filters.to) {
+        return false;
+      }
+      return true;
+    });
+  
+  return {
+    total: matches.length,
+    entries: matches.slice(offset, offset + limit)
+  };
+};
+
+/**
+ * Walks the whole chain and checks every link
+ * 
+ * @returns {Object} valid flag, number of entries checked and, when the
+ *   chain is broken, the sequence and reason of the first bad entry
+ */
+const verifyChain = () => {
+  const entries = getOrderedEntries();
+  let previousHash = GENESIS_HASH;
+  
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    let reason = null;
+    
+    if (entry.sequence !== index + 1) {
+      reason = `Expected sequence ${index + 1}, found ${entry.sequence}`;
+    } else if (entry.previousHash !== previousHash) {
+      reason = "Entry does not link to the previous entry";
+    } else if (entry.hash !== hashEntry(entry)) {
+      reason = "Entry content does not match its hash";
+    }
+    
+    if (reason) {
+      return { valid: false, entriesChecked: index, brokenAt: entry.sequence, reason };
+    }
+    
+    previousHash = entry.hash;
+  }
+  
+  if (entries.length !== head.sequence) {
+    return {
+      valid: false,
+      entriesChecked: entries.length,
+      brokenAt: entries.length + 1,
+      reason: `Chain ends at ${entries.length} entries, expected ${head.sequence}`
+    };
+  }
+  
+  return { valid: true, entriesChecked: entries.length, headHash: previousHash };
+};
+
+module.exports = {
+  appendEntry,
+  queryEntries,
+  verifyChain
+};
\ No newline at end of file
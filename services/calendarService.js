@@ -0,0 +1,169 @@
+/**
+ * Service that lays out repayment dates on the calendar
+ * 
+ * Installments fall on a chosen EMI due day, clamped to the last day of
+ * shorter months. The first installment is the first due day at least one
+ * month after disbursal; the days between disbursal and the start of that
+ * first monthly cycle form the broken period, charged as broken-period
+ * interest (BPI). Due dates landing on a weekend or a holiday from the
+ * configured holiday calendar are shifted to a business day.
+ * 
+ * All dates are handled as UTC midnight and exchanged as YYYY-MM-DD strings.
+ */
+
+const fs = require("fs");
+const config = require("../config/config");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Longest run of weekends and holidays a due date may be shifted across; a
+// longer run means the calendar is misconfigured
+const MAX_SHIFT_DAYS = 31;
+
+let holidays = null;
+
+/**
+ * Loads the holiday calendar from disk
+ * 
+ * @returns {Map} Holiday names keyed by YYYY-MM-DD date
+ */
+const loadHolidays = () => {
+  const entries = JSON.parse(fs.readFileSync(config.calendar.holidayFile, "utf8"));
+  
+  holidays = new Map(entries.map((entry) => [entry.date, entry.name]));
+  return holidays;
+};
+
+/**
+ * Returns the holiday calendar, loading it on first use
+ * 
+ * @returns {Map} Holiday names keyed by YYYY-MM-DD date
+ */
+const getHolidays = () => holidays || loadHolidays();
+
+/**
+ * Formats a date as YYYY-MM-DD
+ * 
+ * @param {Date} date - Date to format
+ * @returns {String} ISO calendar date
+ */
+const formatDate = (date) => date.toISOString().substring(0, 10);
+
+/**
+ * Truncates a date to UTC midnight
+ * 
+ * @param {Date} date - Date to truncate
+ * @returns {Date} Date at 00:00 UTC
+ */
+const startOfDay = (date) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Counts the days between two dates
+ * 
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Number} Whole days from start to end
+ */
+const daysBetween = (from, to) => Math.round((to - from) / MS_PER_DAY);
+
+/**
+ * Returns the date on a given day of the month a number of months after
+ * a date, clamping the day to the end of shorter months
+ * 
+ * @param {Date} date - Reference date
+ * @param {Number} months - Months to add
+ * @param {Number} day - Day of month wanted (1-31), defaults to the reference day
+ * @returns {Date} Resulting date
+ */
+const addMonths = (date, months, day = date.getUTCDate()) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+};
+
+/**
+ * Checks whether a date is a business day
+ * 
+ * @param {Date} date - Date to check
+ * @returns {Boolean} False for weekends and holidays
+ */
+const isBusinessDay = (date) => {
+  return !config.calendar.weekendDays.includes(date.getUTCDay()) &&
+    !getHolidays().has(formatDate(date));
+};
+
+/**
+ * Moves a date onto a business day using the configured shift rule
+ * 
+ * @param {Date} date - Scheduled date
+ * @returns {Date} The date itself or the nearest business day in the shift direction
+ * @throws {Error} If no business day is found within MAX_SHIFT_DAYS
+ */
+const toBusinessDay = (date) => {
+  const step = config.calendar.businessDayShift === "preceding" ? -1 : 1;
+  let adjusted = date;
+  
+  for (let shifted = 0; !isBusinessDay(adjusted); shifted++) {
+    if (shifted === MAX_SHIFT_DAYS) {
+      throw new Error(`No business day within ${MAX_SHIFT_DAYS} days of ${formatDate(date)}`);
+    }
+    
+    adjusted = new Date(adjusted.getTime() + step * MS_PER_DAY);
+  }
+  
+  return adjusted;
+};
+
+/**
+ * Builds the repayment calendar for a loan
+ * 
+ * @param {Object} options - Calendar options
+ * @param {Date} options.disbursalDate - Date the loan is disbursed (defaults to today)
+ * @param {Number} options.emiDueDay - Day of month installments fall due (defaults to the disbursal day)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Object} Disbursal and cycle start dates, broken period length and
+ *   per-installment scheduled and business-day-adjusted due dates
+ */
+const buildRepaymentCalendar = ({ disbursalDate, emiDueDay } = {}, tenure) => {
+  const disbursal = startOfDay(disbursalDate || new Date());
+  const dueDay = emiDueDay || disbursal.getUTCDate();
+  
+  // The first cycle starts on the first due day on or after disbursal
+  let cycleStart = addMonths(disbursal, 0, dueDay);
+  if (cycleStart < disbursal) {
+    cycleStart = addMonths(disbursal, 1, dueDay);
+  }
+  
+  const installments = [];
+  
+  for (let month = 1; month <= tenure; month++) {
+    const periodStart = addMonths(cycleStart, month - 1, dueDay);
+    const scheduledDueDate = addMonths(cycleStart, month, dueDay);
+    
+    installments.push({
+      month,
+      periodDays: daysBetween(periodStart, scheduledDueDate),
+      scheduledDueDate: formatDate(scheduledDueDate),
+      dueDate: formatDate(toBusinessDay(scheduledDueDate))
+    });
+  }
+  
+  return {
+    disbursalDate: formatDate(disbursal),
+    cycleStartDate: formatDate(cycleStart),
+    brokenPeriodDays: daysBetween(disbursal, cycleStart),
+    installments
+  };
+};
+
+module.exports = {
+  loadHolidays,
+  isBusinessDay,
+  toBusinessDay,
+  addMonths,
+  buildRepaymentCalendar
+};
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Daily reducing-balance interest (actual/365)
+ * Interest for each installment accrues daily on the outstanding balance for
+ * the actual number of days in its monthly cycle, taken from the repayment
+ * calendar. The EMI is the standard reducing-balance EMI; the last
+ * installment absorbs whatever difference the varying month lengths leave.
+ */
+
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts
+} = require("../../utils/money");
+const reducingMonthly = require("./reducingMonthly");
+const { buildRepaymentCalendar } = require("../calendarService");
+
+// Day counts come from the repayment calendar, so one is always built
+const requiresCalendar = true;
+const chargesInterest = true;
+
+/**
+ * Calculates the level EMI
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Monthly EMI amount
+ */
+const calculateEmi = (principal, roi, tenure) => {
+  return reducingMonthly.calculateEmi(principal, roi, tenure);
+};
+
+/**
+ * Generates the repayment schedule and totals
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @param {Object} options - Generation options
+ * @param {Object} options.calendar - Repayment calendar from calendarService
+ *   (defaults to one starting today)
+ * @returns {Object} EMI, schedule rows and totals
+ */
+const generateSchedule = (principal, roi, tenure, options = {}) => {
+  const dailyRate = roi / (365 * 100);
+  const emiMinor = reducingMonthly.calculateEmiMinor(toMinorUnits(principal), roi, tenure);
+  const calendar = options.calendar || buildRepaymentCalendar({}, tenure);
+  const schedule = [];
+  
+  let balance = toMinorUnits(principal);
+  
+  for (let month = 1; month <= tenure; month++) {
+    const days = calendar.installments[month - 1].periodDays;
+    const interest = roundMinor(balance * dailyRate * days);
+    
+    // The final installment clears the remaining balance exactly
+    const principalPaid = month === tenure ? balance : Math.min(emiMinor - interest, balance);
+    balance -= principalPaid;
+    
+    schedule.push({
+      month,
+      days,
+      emi: fromMinorUnits(principalPaid + interest),
+      principalPaid: fromMinorUnits(principalPaid),
+      interestPaid: fromMinorUnits(interest),
+      balance: fromMinorUnits(balance)
+    });
+  }
+  
+  return {
+    emi: fromMinorUnits(emiMinor),
+    schedule,
+    totalInterest: sumAmounts(schedule, "interestPaid"),
+    totalAmount: sumAmounts(schedule, "emi")
+  };
+};
+
+module.exports = {
+  requiresCalendar,
+  chargesInterest,
+  calculateEmi,
+  generateSchedule
+};
\ No newline at end of file
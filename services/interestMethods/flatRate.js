@@ -0,0 +1,95 @@
+/**
+ * Flat-rate interest
+ * Interest is charged on the original principal for the whole tenure and
+ * spread evenly across installments, regardless of repayments made.
+ */
+
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts
+} = require("../../utils/money");
+
+const requiresCalendar = false;
+const chargesInterest = true;
+
+/**
+ * Calculates the total flat interest for the tenure in minor units
+ * 
+ * @param {Number} principalMinor - Loan amount in paise
+ * @param {Number} roi - Flat rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Total interest in paise
+ */
+const calculateTotalInterestMinor = (principalMinor, roi, tenure) => {
+  return roundMinor(principalMinor * (roi / 100) * (tenure / 12));
+};
+
+/**
+ * Calculates the level EMI
+ * Each installment carries an equal whole-paisa share of principal and
+ * interest; the last installment absorbs the remainders
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Flat rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Monthly EMI amount
+ */
+const calculateEmi = (principal, roi, tenure) => {
+  const principalMinor = toMinorUnits(principal);
+  const interestMinor = calculateTotalInterestMinor(principalMinor, roi, tenure);
+  
+  return fromMinorUnits(
+    Math.floor(principalMinor / tenure) + Math.floor(interestMinor / tenure)
+  );
+};
+
+/**
+ * Generates the repayment schedule and totals
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Flat rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Object} EMI, schedule rows and totals
+ */
+const generateSchedule = (principal, roi, tenure) => {
+  const principalMinor = toMinorUnits(principal);
+  const interestMinor = calculateTotalInterestMinor(principalMinor, roi, tenure);
+  const monthlyPrincipal = Math.floor(principalMinor / tenure);
+  const monthlyInterest = Math.floor(interestMinor / tenure);
+  const schedule = [];
+  
+  let balance = principalMinor;
+  let interestLeft = interestMinor;
+  
+  for (let month = 1; month <= tenure; month++) {
+    const isLast = month === tenure;
+    const principalPaid = isLast ? balance : monthlyPrincipal;
+    const interest = isLast ? interestLeft : monthlyInterest;
+    balance -= principalPaid;
+    interestLeft -= interest;
+    
+    schedule.push({
+      month,
+      emi: fromMinorUnits(principalPaid + interest),
+      principalPaid: fromMinorUnits(principalPaid),
+      interestPaid: fromMinorUnits(interest),
+      balance: fromMinorUnits(balance)
+    });
+  }
+  
+  return {
+    emi: fromMinorUnits(monthlyPrincipal + monthlyInterest),
+    schedule,
+    totalInterest: sumAmounts(schedule, "interestPaid"),
+    totalAmount: sumAmounts(schedule, "emi")
+  };
+};
+
+module.exports = {
+  requiresCalendar,
+  chargesInterest,
+  calculateEmi,
+  generateSchedule
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Registry of supported interest methods
+ * Each method exposes calculateEmi(principal, roi, tenure),
+ * generateSchedule(principal, roi, tenure, options) and the flags
+ * requiresCalendar (schedule needs actual dates) and chargesInterest
+ * (customer pays interest, including broken-period interest)
+ */
+
+const reducingMonthly = require("./reducingMonthly");
+const flatRate = require("./flatRate");
+const dailyReducing = require("./dailyReducing");
+const zeroCost = require("./zeroCost");
+
+const interestMethods = {
+  reducingMonthly,
+  flatRate,
+  dailyReducing,
+  zeroCost
+};
+
+const INTEREST_METHODS = Object.keys(interestMethods);
+
+/**
+ * Looks up an interest method by name
+ * 
+ * @param {String} name - Interest method name
+ * @returns {Object|null} Interest method or null if unknown
+ */
+const getInterestMethod = (name) => {
+  return Object.prototype.hasOwnProperty.call(interestMethods, name)
+    ? interestMethods[name]
+    : null;
+};
+
+module.exports = {
+  INTEREST_METHODS,
+  getInterestMethod
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Reducing-balance interest, compounded monthly
+ * Interest for each installment is charged on the outstanding balance at a
+ * monthly rate of roi / 12. This is the standard EMI method.
+ */
+
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts
+} = require("../../utils/money");
+
+const requiresCalendar = false;
+const chargesInterest = true;
+
+/**
+ * Calculates the level EMI in minor units
+ * 
+ * @param {Number} principalMinor - Loan amount in paise
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Monthly EMI in paise
+ */
+const calculateEmiMinor = (principalMinor, roi, tenure) => {
+  // Convert annual interest rate to monthly and decimal form
+  const monthlyRate = roi / (12 * 100);
+  
+  // Without interest the principal is simply spread over the tenure
+  if (monthlyRate === 0) {
+    return roundMinor(principalMinor / tenure);
+  }
+  
+  // Calculate EMI using formula: P * r * (1+r)^n / ((1+r)^n - 1)
+  const emi = principalMinor * monthlyRate * Math.pow(1 + monthlyRate, tenure) 
+              / (Math.pow(1 + monthlyRate, tenure) - 1);
+  
+  return roundMinor(emi);
+};
+
+/**
+ * Calculates the level EMI
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Monthly EMI amount
+ */
+const calculateEmi = (principal, roi, tenure) => {
+  return fromMinorUnits(calculateEmiMinor(toMinorUnits(principal), roi, tenure));
+};
+
+/**
+ * Generates the repayment schedule and totals
+ * Each installment's interest is rounded to the paisa; the last installment
+ * repays whatever principal is left so the balance closes at exactly zero
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Object} EMI, schedule rows and totals
+ */
+const generateSchedule = (principal, roi, tenure) => {
+  const monthlyRate = roi / (12 * 100);
+  const emiMinor = calculateEmiMinor(toMinorUnits(principal), roi, tenure);
+  const schedule = [];
+  
+  let balance = toMinorUnits(principal);
+  
+  for (let month = 1; month <= tenure; month++) {
+    const interest = roundMinor(balance * monthlyRate);
+    const principalPaid = month === tenure ? balance : Math.min(emiMinor - interest, balance);
+    balance -= principalPaid;
+    
+    schedule.push({
+      month,
+      emi: fromMinorUnits(principalPaid + interest),
+      principalPaid: fromMinorUnits(principalPaid),
+      interestPaid: fromMinorUnits(interest),
+      balance: fromMinorUnits(balance)
+    });
+  }
+  
+  return {
+    emi: fromMinorUnits(emiMinor),
+    schedule,
+    totalInterest: sumAmounts(schedule, "interestPaid"),
+    totalAmount: sumAmounts(schedule, "emi")
+  };
+};
+
+module.exports = {
+  requiresCalendar,
+  chargesInterest,
+  calculateEmiMinor,
+  calculateEmi,
+  generateSchedule
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Zero-cost EMI (subvention)
+ * The customer repays only the principal in equal installments. The
+ * interest the lender would have earned at the quoted ROI is paid by the
+ * merchant upfront as a subvention, computed as the principal less the
+ * present value of the customer's installments at that ROI.
+ */
+
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts
+} = require("../../utils/money");
+
+const requiresCalendar = false;
+// The customer pays no interest, so no broken-period interest either
+const chargesInterest = false;
+
+/**
+ * Calculates the level EMI paid by the customer
+ * The last installment absorbs the paise left over by the division
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Subvented rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Monthly EMI amount
+ */
+const calculateEmi = (principal, roi, tenure) => {
+  return fromMinorUnits(Math.floor(toMinorUnits(principal) / tenure));
+};
+
+/**
+ * Calculates the interest subvented by the merchant
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Subvented rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Number} Subvention amount
+ */
+const calculateSubvention = (principal, roi, tenure) => {
+  const monthlyRate = roi / (12 * 100);
+  const principalMinor = toMinorUnits(principal);
+  
+  if (monthlyRate === 0) {
+    return 0;
+  }
+  
+  const presentValue = (principalMinor / tenure) *
+    (1 - Math.pow(1 + monthlyRate, -tenure)) / monthlyRate;
+  
+  return fromMinorUnits(roundMinor(principalMinor - presentValue));
+};
+
+/**
+ * Generates the repayment schedule and totals
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Subvented rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @returns {Object} EMI, schedule rows, totals and the subvention amount
+ */
+const generateSchedule = (principal, roi, tenure) => {
+  const monthlyPrincipal = Math.floor(toMinorUnits(principal) / tenure);
+  const schedule = [];
+  
+  let balance = toMinorUnits(principal);
+  
+  for (let month = 1; month <= tenure; month++) {
+    const principalPaid = month === tenure ? balance : monthlyPrincipal;
+    balance -= principalPaid;
+    
+    schedule.push({
+      month,
+      emi: fromMinorUnits(principalPaid),
+      principalPaid: fromMinorUnits(principalPaid),
+      interestPaid: 0,
+      balance: fromMinorUnits(balance)
+    });
+  }
+  
+  return {
+    emi: fromMinorUnits(monthlyPrincipal),
+    schedule,
+    totalInterest: 0,
+    totalAmount: sumAmounts(schedule, "emi"),
+    subventionAmount: calculateSubvention(principal, roi, tenure)
+  };
+};
+
+module.exports = {
+  requiresCalendar,
+  chargesInterest,
+  calculateEmi,
+  generateSchedule
+};
\ No newline at end of file
@@ -4,113 +4,157 @@
 
 const config = require("../config/config");
 const responseHelper = require("../utils/responseHelper");
+const { logger } = require("../utils/logger");
+const offerRepository = require("./offerRepository");
+const tokenService = require("./tokenService");
+const redirectService = require("./redirectService");
+const productService = require("./productService");
+const partnerService = require("./partnerService");
+const { OFFER_EVENTS, emitOfferEvent } = require("./offerEvents");
+const { initialLifecycle, transitionOffer } = require("./offerLifecycle");
+const { getInterestMethod } = require("./interestMethods");
+const aprService = require("./aprService");
+const { buildRepaymentCalendar } = require("./calendarService");
+const { generateStructuredSchedule } = require("./structuredScheduleService");
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  addAmounts,
+  sumAmounts
+} = require("../utils/money");
+const { validatePayload } = require("../utils/schemaValidator");
+const { loanOfferDataSchemaFor } = require("../schemas/loanSchemas");
+const { fingerprint } = require("../utils/fingerprint");
 
 /**
  * Validates token from the request
  * 
  * @param {String} token - Authentication token
- * @returns {Boolean} Whether the token is valid
+ * @returns {Boolean} Whether the token is authentic, unexpired and not revoked
  */
 const validateToken = (token) => {
-  // In a real implementation, this would verify the token
-  // against a database or auth service
+  const payload = tokenService.verifyToken(token);
   
-  // For this implementation, we'll do a simple check
-  return token && token.length >= 32;
+  return Boolean(payload) &&
+    !tokenService.isTokenExpired(payload) &&
+    !tokenService.isTokenRevoked(payload);
 };
 
 /**
- * Validates loan request parameters
+ * Validates loan request parameters against the rules of the product named
+ * by productCode, or the global limits in config.loan when none is named,
+ * and against the calling partner's product codes and ID formats
  * 
  * @param {Object} data - Loan request data
- * @returns {Object} Validation result with isValid flag and error message
- */
-const validateLoanRequest = (data) => {
-  // Check if all required fields exist
-  const requiredFields = [
-    "orderId", 
-    "transactionId", 
-    "loanAmount", 
-    "roi", 
-    "tenure", 
-    "downpayment",
-    "processingFee",
-    "tvsTransactionId"
-  ];
-  
-  for (const field of requiredFields) {
-    if (data[field] === undefined || data[field] === null) {
-      return {
-        isValid: false,
-        errorCode: config.errorCodes.missingParameters,
-        message: `Missing required parameter: ${field}`
-      };
-    }
-  }
+ * @param {Object} partner - Calling partner from the registry, if any
+ * @returns {Object} Validation result with isValid flag, the error code and
+ *   message of the first violation, every violation as fieldErrors, and the
+ *   product rules that applied
+ */
+const validateLoanRequest = (data, partner = null) => {
+  const payload = data || {};
+  const product = payload.productCode === undefined
+    ? productService.getDefaultRules()
+    : productService.getProduct(payload.productCode);
   
-  // Validate order ID format
-  if (!config.validation.orderIdRegex.test(data.orderId)) {
-    return {
-      isValid: false,
-      errorCode: config.errorCodes.missingParameters,
-      message: "Order ID format is invalid"
-    };
-  }
+  const offeredByPartner = !partner || !partner.productCodes ||
+    payload.productCode === undefined || partner.productCodes.includes(payload.productCode);
   
-  // Validate transaction ID format
-  if (!config.validation.transactionIdRegex.test(data.transactionId)) {
+  if (!product || !offeredByPartner) {
+    const message = product
+      ? `productCode ${payload.productCode} is not available to partner ${partner.code}`
+      : `Unknown productCode: ${payload.productCode}`;
+    
     return {
       isValid: false,
-      errorCode: config.errorCodes.missingParameters,
-      message: "Transaction ID format is invalid"
+      errorCode: config.errorCodes.invalidProduct,
+      message,
+      fieldErrors: [{ path: "data.productCode", code: config.errorCodes.invalidProduct, message }]
     };
   }
   
-  // Validate loan amount
-  if (typeof data.loanAmount !== "number" || 
-      data.loanAmount < config.loan.minAmount || 
-      data.loanAmount > config.loan.maxAmount) {
-    return {
-      isValid: false,
-      errorCode: config.errorCodes.invalidLoanAmount,
-      message: `Loan amount must be between ${config.loan.minAmount} and ${config.loan.maxAmount}`
-    };
-  }
+  const { isValid, fieldErrors } = validatePayload(
+    loanOfferDataSchemaFor(product, partner ? partner.idFormats : undefined),
+    payload,
+    { pathPrefix: "data" }
+  );
   
-  // Validate tenure
-  if (typeof data.tenure !== "number" || 
-      data.tenure < config.loan.minTenure || 
-      data.tenure > config.loan.maxTenure) {
+  if (!isValid) {
     return {
       isValid: false,
-      errorCode: config.errorCodes.invalidTenure,
-      message: `Tenure must be between ${config.loan.minTenure} and ${config.loan.maxTenure} months`
+      errorCode: fieldErrors[0].code,
+      message: fieldErrors[0].message,
+      fieldErrors
     };
   }
   
-  // Validate ROI
-  if (typeof data.roi !== "number" || 
-      data.roi < config.loan.minRoi || 
-      data.roi > config.loan.maxRoi) {
-    return {
-      isValid: false,
-      errorCode: config.errorCodes.missingParameters,
-      message: `ROI must be between ${config.loan.minRoi}% and ${config.loan.maxRoi}%`
-    };
-  }
+  return {
+    isValid: true,
+    message: "",
+    fieldErrors: [],
+    product
+  };
+};
+
+/**
+ * Records a rejected loan offer so rejections show up in portfolio statistics
+ * and reach partners subscribed to rejection webhooks
+ * 
+ * @param {Object} data - Loan request data as submitted
+ * @param {Object} rejection - Error code and message the request was rejected with
+ * @param {Object} context - Request metadata (caller, partner)
+ */
+const recordRejection = (data = {}, rejection, context) => {
+  const record = offerRepository.saveRejection({
+    orderId: data.orderId || null,
+    transactionId: data.transactionId || null,
+    loanAmount: typeof data.loanAmount === "number" ? data.loanAmount : null,
+    roi: typeof data.roi === "number" ? data.roi : null,
+    tenure: typeof data.tenure === "number" ? data.tenure : null,
+    status: "REJECTED",
+    errorCode: rejection.errorCode,
+    errorMessage: rejection.message,
+    partner: context.partner || null,
+    userId: context.userId || null,
+    createdAt: new Date().toISOString()
+  });
   
-  // Validate downpayment
-  if (typeof data.downpayment !== "number" || data.downpayment < 0) {
-    return {
-      isValid: false,
-      errorCode: config.errorCodes.missingParameters,
-      message: "Downpayment must be a non-negative number"
-    };
-  }
+  emitOfferEvent(OFFER_EVENTS.rejected, record);
+};
+
+/**
+ * Computes the repayment terms of an offer
+ * 
+ * @param {Object} data - Validated loan request data
+ * @param {Object} product - Product rules the data was validated against
+ * @returns {Object} Offer fields derived from the loan amount, ROI, tenure
+ *   and interest method: EMI, APR, key fact statement, dates and schedule
+ */
+const priceOffer = (data, product) => {
+  // A product's first interest method is its default
+  const interestMethod = data.interestMethod || product.interestMethods[0];
+  const calculation = calculateLoan(
+    data.loanAmount, data.roi, data.tenure, interestMethod,
+    {
+      disbursalDate: data.disbursalDate ? new Date(data.disbursalDate) : undefined,
+      emiDueDay: data.emiDueDay
+    }
+  );
+  const keyFactStatement = aprService.buildKeyFactStatement(data, calculation);
   
   return {
-    isValid: true,
-    message: ""
+    loanAmount: data.loanAmount,
+    roi: data.roi,
+    tenure: data.tenure,
+    interestMethod,
+    emi: calculation.emi,
+    apr: keyFactStatement.apr,
+    keyFactStatement,
+    disbursalDate: calculation.disbursalDate || null,
+    emiDueDay: data.emiDueDay || null,
+    firstDueDate: calculation.firstDueDate || null,
+    schedule: calculation.schedule
   };
 };
 
@@ -118,9 +162,10 @@ const validateLoanRequest = (data) => {
  * Processes a loan offer request
  * 
  * @param {Object} requestData - The complete request object
+ * @param {Object} context - Request metadata (caller, IP, user agent)
  * @returns {Object} Response object with appropriate status
  */
-const processLoanOffer = (requestData) => {
+const processLoanOffer = (requestData, context = {}) => {
   try {
     // Validate token
     if (!validateToken(requestData.token)) {
@@ -128,35 +173,320 @@ const processLoanOffer = (requestData) => {
     }
     
     // Validate request data
-    const validationResult = validateLoanRequest(requestData.data);
+    const validationResult = validateLoanRequest(
+      requestData.data,
+      partnerService.getPartner(context.partner)
+    );
     if (!validationResult.isValid) {
-      return responseHelper.errorResponse(
-        validationResult.errorCode, 
-        validationResult.message
-      );
+      recordRejection(requestData.data, validationResult, context);
+      return responseHelper.fieldValidationError(validationResult.fieldErrors);
+    }
+    
+    const data = requestData.data;
+    
+    // Customers may only be sent back to the partner's own allowlisted pages
+    if (data.backRedirectionURL &&
+        !redirectService.isRedirectAllowed(data.backRedirectionURL, context.partner)) {
+      const rejection = {
+        errorCode: config.errorCodes.invalidRedirectUrl,
+        message: "backRedirectionURL is not on the partner's redirect allowlist"
+      };
+      
+      recordRejection(data, rejection, context);
+      return responseHelper.fieldValidationError([{
+        path: "data.backRedirectionURL",
+        code: rejection.errorCode,
+        message: rejection.message
+      }]);
+    }
+    
+    const requestHash = fingerprint(data);
+    
+    // Partners retry on timeouts, so a transaction we have already accepted
+    // is answered from the stored offer instead of being processed again
+    const partner = context.partner || null;
+    const existingOffer = offerRepository.findByTransactionId(data.transactionId, partner) ||
+      offerRepository.findByTvsTransactionId(data.tvsTransactionId, partner);
+    
+    if (existingOffer) {
+      if (existingOffer.requestHash === requestHash) {
+        return existingOffer.response;
+      }
+      
+      const conflict = {
+        errorCode: config.errorCodes.idempotencyConflict,
+        message: "Transaction was already submitted with a different loan offer payload"
+      };
+      
+      recordRejection(data, conflict, context);
+      return responseHelper.errorResponse(conflict.errorCode, conflict.message);
+    }
+    
+    // Offers are looked up by orderId alone, so an orderId already taken by
+    // another transaction, of this or any other partner, cannot be reused
+    if (offerRepository.findByOrderId(data.orderId)) {
+      const conflict = {
+        errorCode: config.errorCodes.conflict,
+        message: `Order ID ${data.orderId} is already used by another offer`
+      };
+      
+      recordRejection(data, conflict, context);
+      return responseHelper.errorResponse(conflict.errorCode, conflict.message);
     }
     
-    // In a real implementation, this would:
-    // 1. Process the loan request
-    // 2. Store loan details in a database
-    // 3. Generate any necessary documents or references
-    // 4. Potentially integrate with other financial systems
+    const lifecycle = initialLifecycle(validationResult.product);
     
-    // For this implementation, we'll return a successful response
-    // with empty values as specified in the API documentation
-    return responseHelper.successResponse({
-      errorMessage: "",
-      errorCode: "",
-      redirectionURL: requestData.data.backRedirectionURL || ""
+    // Respond with empty values as specified in the API documentation, plus
+    // the state the offer was created in. The response is stored as sent, so
+    // retries get the same bytes; the current state is read with loanStatus
+    const redirection = responseHelper.redirectionResponse(data.backRedirectionURL, {
+      orderId: data.orderId,
+      status: lifecycle.status,
+      partner: context.partner
     });
+    const response = {
+      ...redirection,
+      data: { ...redirection.data, offerStatus: lifecycle.status }
+    };
+    
+    // Record the new offer so it can be looked up later
+    const offer = offerRepository.saveOffer({
+      orderId: data.orderId,
+      transactionId: data.transactionId,
+      tvsTransactionId: data.tvsTransactionId,
+      productCode: validationResult.product.code,
+      downpayment: data.downpayment,
+      processingFee: data.processingFee,
+      ...lifecycle,
+      ...priceOffer(data, validationResult.product),
+      request: data,
+      requestHash,
+      metadata: {
+        userId: context.userId || null,
+        partner: context.partner || null,
+        ip: context.ip || null,
+        userAgent: context.userAgent || null
+      },
+      response,
+      createdAt: new Date().toISOString()
+    });
+    
+    emitOfferEvent(OFFER_EVENTS.created, offer);
+    
+    return response;
   } catch (error) {
-    console.error("Error processing loan offer:", error);
+    logger.error("Error processing loan offer", { error });
     return responseHelper.serverError(error);
   }
 };
 
+// Statuses in which a partner may still amend an offer
+const AMENDABLE_STATUSES = ["CREATED"];
+
+/**
+ * Finds a stored offer by orderId or transactionId, as long as it belongs
+ * to the calling partner (callers that are not partners see every offer)
+ * 
+ * @param {Object} reference - orderId or transactionId of the offer
+ * @param {Object} context - Request metadata (caller, partner)
+ * @returns {Object|null} Stored offer or null if not found
+ */
+const findOffer = (reference, context) => {
+  let offer;
+  
+  if (reference.orderId) {
+    offer = offerRepository.findByOrderId(reference.orderId);
+  } else if (context.partner) {
+    offer = offerRepository.findByTransactionId(reference.transactionId, context.partner);
+  } else {
+    // Transaction IDs are only unique per partner; callers that are not
+    // partners get the newest offer carrying the ID
+    offer = offerRepository.listOffers({ transactionId: reference.transactionId, limit: 1 }).offers[0];
+  }
+  
+  if (!offer || (context.partner && offer.metadata.partner !== context.partner)) {
+    return null;
+  }
+  
+  return offer;
+};
+
 /**
- * Calculates EMI for a loan
+ * Builds the not-found response for an offer reference
+ * 
+ * @param {Object} reference - orderId or transactionId of the offer
+ * @returns {Object} Error response
+ */
+const offerNotFound = (reference) => {
+  return responseHelper.errorResponse(
+    config.errorCodes.notFound,
+    reference.orderId
+      ? `No offer found for order ID ${reference.orderId}`
+      : `No offer found for transaction ID ${reference.transactionId}`
+  );
+};
+
+/**
+ * Summarizes an offer for partners
+ * 
+ * @param {Object} offer - Stored offer
+ * @returns {Object} Identifiers, status and current terms of the offer
+ */
+const toOfferStatus = (offer) => ({
+  orderId: offer.orderId,
+  transactionId: offer.transactionId,
+  tvsTransactionId: offer.tvsTransactionId,
+  productCode: offer.productCode || null,
+  status: offer.status,
+  loanAmount: offer.loanAmount,
+  roi: offer.roi,
+  tenure: offer.tenure,
+  emi: offer.emi,
+  apr: offer.apr,
+  expiresAt: offer.expiresAt || null,
+  createdAt: offer.createdAt,
+  updatedAt: offer.updatedAt || offer.createdAt,
+  history: offer.history || []
+});
+
+/**
+ * Projects a stored offer for partners reading it back: the status summary
+ * plus its charges and a summary of the repayment schedule, leaving out the
+ * raw request, stored response and caller metadata kept for auditing
+ * 
+ * @param {Object} offer - Stored offer
+ * @returns {Object} Public view of the offer
+ */
+const toPublicOffer = (offer) => {
+  const schedule = offer.schedule || [];
+  const keyFactStatement = offer.keyFactStatement || {};
+  const lastInstallment = schedule[schedule.length - 1] || {};
+  
+  return {
+    ...toOfferStatus(offer),
+    interestMethod: offer.interestMethod || null,
+    downpayment: offer.downpayment,
+    processingFee: offer.processingFee,
+    scheduleSummary: {
+      installments: schedule.length,
+      firstDueDate: offer.firstDueDate || null,
+      lastDueDate: lastInstallment.dueDate || null,
+      totalInterest: keyFactStatement.totalInterest,
+      totalPayable: keyFactStatement.totalPayable
+    }
+  };
+};
+
+/**
+ * Returns the status of an offer
+ * 
+ * @param {Object} reference - orderId or transactionId of the offer
+ * @param {Object} context - Request metadata (caller, partner)
+ * @returns {Object} Response with the offer's status and terms
+ */
+const getOfferStatus = (reference, context = {}) => {
+  const offer = findOffer(reference, context);
+  
+  if (!offer) {
+    return offerNotFound(reference);
+  }
+  
+  return responseHelper.successResponse(toOfferStatus(offer));
+};
+
+/**
+ * Moves an offer to a new lifecycle state on behalf of the caller
+ * 
+ * @param {Object} request - orderId or transactionId of the offer, the
+ *   state to move to and an optional reason
+ * @param {Object} context - Request metadata (caller, partner)
+ * @returns {Object} Response with the offer's new status, or E017 if the
+ *   offer cannot move to that state
+ */
+const updateOfferStatus = (request, context = {}) => {
+  const offer = findOffer(request, context);
+  
+  if (!offer) {
+    return offerNotFound(request);
+  }
+  
+  const result = transitionOffer(offer, request.status, {
+    actor: context.userId || null,
+    reason: request.reason || null
+  });
+  
+  if (!result.offer) {
+    return responseHelper.errorResponse(result.errorCode, result.message);
+  }
+  
+  return responseHelper.successResponse(toOfferStatus(result.offer));
+};
+
+/**
+ * Withdraws an offer that has not been disbursed or closed yet
+ * 
+ * @param {Object} request - orderId or transactionId of the offer, and an
+ *   optional reason
+ * @param {Object} context - Request metadata (caller, partner)
+ * @returns {Object} Response with the cancelled offer's status
+ */
+const cancelOffer = (request, context = {}) => {
+  return updateOfferStatus({ ...request, status: "CANCELLED" }, context);
+};
+
+/**
+ * Amends the loan amount and/or tenure of an offer the customer has not
+ * accepted yet
+ * The amended request is validated against the offer's product and the
+ * partner's rules, and the repayment terms are recalculated
+ * 
+ * @param {Object} request - orderId or transactionId of the offer, and the
+ *   new loanAmount and/or tenure
+ * @param {Object} context - Request metadata (caller, partner)
+ * @returns {Object} Response with the amended offer's status and terms
+ */
+const updateOffer = (request, context = {}) => {
+  const offer = findOffer(request, context);
+  
+  if (!offer) {
+    return offerNotFound(request);
+  }
+  
+  if (!AMENDABLE_STATUSES.includes(offer.status)) {
+    return responseHelper.errorResponse(
+      config.errorCodes.invalidOfferState,
+      `Offer is ${offer.status} and can no longer be updated`
+    );
+  }
+  
+  const amended = {
+    ...offer.request,
+    loanAmount: request.loanAmount === undefined ? offer.loanAmount : request.loanAmount,
+    tenure: request.tenure === undefined ? offer.tenure : request.tenure
+  };
+  const validationResult = validateLoanRequest(
+    amended,
+    partnerService.getPartner(offer.metadata.partner)
+  );
+  
+  if (!validationResult.isValid) {
+    return responseHelper.fieldValidationError(validationResult.fieldErrors);
+  }
+  
+  // requestHash is kept, so a retry of the original submission is still
+  // answered from the stored response rather than reported as a conflict
+  const updated = offerRepository.saveOffer({
+    ...offer,
+    ...priceOffer(amended, validationResult.product),
+    request: amended,
+    updatedAt: new Date().toISOString()
+  });
+  
+  return responseHelper.successResponse(toOfferStatus(updated));
+};
+
+/**
+ * Calculates EMI for a loan using the reducing-balance monthly method
  * 
  * @param {Number} principal - Loan amount
  * @param {Number} roi - Rate of interest (annual percentage)
@@ -164,18 +494,11 @@ const processLoanOffer = (requestData) => {
  * @returns {Number} Monthly EMI amount
  */
 const calculateEMI = (principal, roi, tenure) => {
-  // Convert annual interest rate to monthly and decimal form
-  const monthlyRate = roi / (12 * 100);
-  
-  // Calculate EMI using formula: P * r * (1+r)^n / ((1+r)^n - 1)
-  const emi = principal * monthlyRate * Math.pow(1 + monthlyRate, tenure) 
-              / (Math.pow(1 + monthlyRate, tenure) - 1);
-  
-  return Math.round(emi * 100) / 100; // Round to 2 decimal places
+  return getInterestMethod("reducingMonthly").calculateEmi(principal, roi, tenure);
 };
 
 /**
- * Generates an amortization schedule for a loan
+ * Generates a reducing-balance monthly amortization schedule for a loan
  * 
  * @param {Number} principal - Loan amount
  * @param {Number} roi - Rate of interest (annual percentage)
@@ -183,33 +506,111 @@ const calculateEMI = (principal, roi, tenure) => {
  * @returns {Array} Array of monthly payment details
  */
 const generateAmortizationSchedule = (principal, roi, tenure) => {
-  const monthlyRate = roi / (12 * 100);
-  const emi = calculateEMI(principal, roi, tenure);
-  const schedule = [];
-  
-  let balance = principal;
+  return getInterestMethod("reducingMonthly").generateSchedule(principal, roi, tenure).schedule;
+};
+
+/**
+ * Places a calculated schedule on the repayment calendar
+ * Adds scheduled and business-day-adjusted due dates to each installment,
+ * and charges broken-period interest on the principal (actual/365) with
+ * the first installment
+ * 
+ * @param {Object} calculation - Result of the interest method's generateSchedule
+ * @param {Object} calendar - Repayment calendar from calendarService
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Object} method - Interest method
+ * @returns {Object} Calculation with dates and broken-period interest
+ */
+const applyRepaymentCalendar = (calculation, calendar, principal, roi, method) => {
+  const brokenPeriodInterest = method.chargesInterest
+    ? roundMinor(toMinorUnits(principal) * (roi / (365 * 100)) * calendar.brokenPeriodDays)
+    : 0;
   
-  for (let month = 1; month <= tenure; month++) {
-    const interest = balance * monthlyRate;
-    const principalPaid = emi - interest;
-    balance -= principalPaid;
+  const schedule = calculation.schedule.map((row, index) => {
+    const { scheduledDueDate, dueDate } = calendar.installments[index];
+    const datedRow = { ...row, scheduledDueDate, dueDate };
     
-    schedule.push({
-      month,
-      emi: Math.round(emi * 100) / 100,
-      principalPaid: Math.round(principalPaid * 100) / 100,
-      interestPaid: Math.round(interest * 100) / 100,
-      balance: Math.max(0, Math.round(balance * 100) / 100)
-    });
+    if (index === 0) {
+      datedRow.brokenPeriodInterest = fromMinorUnits(brokenPeriodInterest);
+      datedRow.interestPaid = addAmounts(row.interestPaid, datedRow.brokenPeriodInterest);
+      datedRow.emi = addAmounts(row.emi, datedRow.brokenPeriodInterest);
+    }
+    
+    return datedRow;
+  });
+  
+  return {
+    ...calculation,
+    schedule,
+    totalInterest: sumAmounts(schedule, "interestPaid"),
+    totalAmount: sumAmounts(schedule, "emi"),
+    disbursalDate: calendar.disbursalDate,
+    firstDueDate: schedule[0].dueDate,
+    brokenPeriodDays: calendar.brokenPeriodDays,
+    brokenPeriodInterest: fromMinorUnits(brokenPeriodInterest)
+  };
+};
+
+/**
+ * Calculates EMI, schedule and totals for a loan using the given interest method
+ * When a disbursal date or EMI due day is given (or the method needs actual
+ * dates), the schedule is laid out on the repayment calendar
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @param {String} interestMethod - Interest method name
+ * @param {Object} options - Calendar options
+ * @param {Date} options.disbursalDate - Date the loan is disbursed
+ * @param {Number} options.emiDueDay - Day of month installments fall due
+ * @param {Object} options.structure - Moratorium/step/balloon structure
+ *   (reducingMonthly only, see structuredScheduleService)
+ * @returns {Object} EMI, schedule rows and totals
+ */
+const calculateLoan = (
+  principal,
+  roi,
+  tenure,
+  interestMethod = config.loan.defaultInterestMethod,
+  options = {}
+) => {
+  const method = getInterestMethod(interestMethod);
+  
+  if (!method) {
+    throw new Error(`Unsupported interest method: ${interestMethod}`);
   }
   
-  return schedule;
+  const usesCalendar = Boolean(options.disbursalDate || options.emiDueDay) ||
+    method.requiresCalendar;
+  const calendar = usesCalendar ? buildRepaymentCalendar(options, tenure) : null;
+  
+  if (options.structure && interestMethod !== "reducingMonthly") {
+    throw new Error("Repayment structures require the reducingMonthly interest method");
+  }
+  
+  const calculation = {
+    interestMethod,
+    ...(options.structure
+      ? generateStructuredSchedule(principal, roi, tenure, options.structure)
+      : method.generateSchedule(principal, roi, tenure, { calendar }))
+  };
+  
+  return calendar
+    ? applyRepaymentCalendar(calculation, calendar, principal, roi, method)
+    : calculation;
 };
 
 module.exports = {
   processLoanOffer,
+  getOfferStatus,
+  cancelOffer,
+  updateOffer,
+  updateOfferStatus,
+  toPublicOffer,
   validateToken,
   validateLoanRequest,
   calculateEMI,
-  generateAmortizationSchedule
+  generateAmortizationSchedule,
+  calculateLoan
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * Event bus for loan offer lifecycle events
+ * loanService announces what happened to an offer here; subscribers such as
+ * the webhook subsystem react without loanService knowing about them
+ */
+
+const { EventEmitter } = require("events");
+
+const OFFER_EVENTS = {
+  created: "offer.created",
+  accepted: "offer.accepted",
+  disbursed: "offer.disbursed",
+  rejected: "offer.rejected",
+  cancelled: "offer.cancelled",
+  expired: "offer.expired"
+};
+
+const offerEvents = new EventEmitter();
+
+/**
+ * Announces an offer event to every subscriber
+ * 
+ * @param {String} type - Event type from OFFER_EVENTS
+ * @param {Object} record - Offer or rejection record the event is about
+ */
+const emitOfferEvent = (type, record) => {
+  offerEvents.emit(type, record);
+};
+
+/**
+ * Subscribes to every offer event type
+ * 
+ * @param {Function} listener - Called with (type, record)
+ */
+const onAnyOfferEvent = (listener) => {
+  Object.values(OFFER_EVENTS).forEach((type) => {
+    offerEvents.on(type, (record) => listener(type, record));
+  });
+};
+
+module.exports = {
+  OFFER_EVENTS,
+  emitOfferEvent,
+  onAnyOfferEvent
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Service for the loan offer lifecycle
+ * 
+ * An offer is CREATED when a loanOffer request is processed. From there it
+ * may be ACCEPTED by the customer and then DISBURSED, or end as CANCELLED,
+ * EXPIRED or REJECTED. Every change of state is checked against the allowed
+ * transitions, recorded in the offer's history and announced on the offer
+ * event bus. Offers still CREATED when their product's TTL runs out are
+ * expired by an in-process sweeper.
+ */
+
+const config = require("../config/config");
+const offerRepository = require("./offerRepository");
+const { OFFER_EVENTS, emitOfferEvent } = require("./offerEvents");
+const { logger } = require("../utils/logger");
+
+const OFFER_STATES = ["CREATED", "ACCEPTED", "DISBURSED", "CANCELLED", "EXPIRED", "REJECTED"];
+
+// States each state may move to; states without any are final
+const TRANSITIONS = {
+  CREATED: ["ACCEPTED", "CANCELLED", "EXPIRED", "REJECTED"],
+  ACCEPTED: ["DISBURSED", "CANCELLED"],
+  DISBURSED: [],
+  CANCELLED: [],
+  EXPIRED: [],
+  REJECTED: []
+};
+
+// Event announced when an offer enters each state
+const STATE_EVENTS = {
+  CREATED: OFFER_EVENTS.created,
+  ACCEPTED: OFFER_EVENTS.accepted,
+  DISBURSED: OFFER_EVENTS.disbursed,
+  CANCELLED: OFFER_EVENTS.cancelled,
+  EXPIRED: OFFER_EVENTS.expired,
+  REJECTED: OFFER_EVENTS.rejected
+};
+
+// States admin clients may move an offer to. Partners can only cancel
+// (cancelOffer), and EXPIRED is only set by the sweeper
+const SETTABLE_STATES = ["ACCEPTED", "DISBURSED", "CANCELLED", "REJECTED"];
+
+let sweepTimer = null;
+
+/**
+ * Checks whether an offer may move from one state to another
+ * 
+ * @param {String} from - Current state
+ * @param {String} to - Requested state
+ * @returns {Boolean} Whether the transition is allowed
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Returns the lifecycle fields of a newly created offer
+ * 
+ * @param {Object} product - Product rules the offer was made under
+ * @param {Date} now - Creation time
+ * @returns {Object} CREATED status, the expiry time and the first history entry
+ */
+const initialLifecycle = (product, now = new Date()) => {
+  const ttlHours = product.offerTtlHours || config.loan.offerTtlHours;
+  
+  return {
+    status: "CREATED",
+    expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000).toISOString(),
+    history: [{ from: null, to: "CREATED", at: now.toISOString(), actor: null, reason: null }]
+  };
+};
+
+/**
+ * Moves an offer to a new state, records the change in its history and
+ * announces it
+ * 
+ * @param {Object} offer - Stored offer
+ * @param {String} to - State to move to
+ * @param {Object} details - Who made the change and why
+ * @param {String} details.actor - User ID, or "system" for the sweeper
+ * @param {String} details.reason - Optional reason
+ * @returns {Object} The updated offer, or the error code and message of an
+ *   invalid transition
+ */
+const transitionOffer = (offer, to, { actor = null, reason = null } = {}) => {
+  if (!canTransition(offer.status, to)) {
+    return {
+      errorCode: config.errorCodes.invalidTransition,
+      message: `Offer cannot move from ${offer.status} to ${to}`
+    };
+  }
+  
+  const at = new Date().toISOString();
+  const updated = offerRepository.saveOffer({
+    ...offer,
+    status: to,
+    history: [...(offer.history || []), { from: offer.status, to, at, actor, reason }],
+    updatedAt: at
+  });
+  
+  emitOfferEvent(STATE_EVENTS[to], updated);
+  
+  return { offer: updated };
+};
+
+/**
+ * Expires every CREATED offer whose TTL has run out
+ * 
+ * @param {Date} now - Current time
+ * @returns {Number} Number of offers expired
+ */
+const expireDueOffers = (now = new Date()) => {
+  const due = offerRepository.getAllOffers().filter((offer) =>
+    offer.status === "CREATED" && offer.expiresAt && new Date(offer.expiresAt) <= now
+  );
+  
+  due.forEach((offer) => {
+    transitionOffer(offer, "EXPIRED", { actor: "system", reason: "Offer validity ended" });
+  });
+  
+  if (due.length > 0) {
+    logger.info("Expired loan offers", { count: due.length });
+  }
+  
+  return due.length;
+};
+
+/**
+ * Starts the periodic expiry sweeper
+ */
+const startExpirySweeper = () => {
+  if (sweepTimer) {
+    return;
+  }
+  
+  sweepTimer = setInterval(() => {
+    try {
+      expireDueOffers();
+    } catch (error) {
+      logger.error("Error expiring loan offers", { error });
+    }
+  }, config.loan.expirySweepIntervalMs);
+  sweepTimer.unref();
+};
+
+/**
+ * Stops the periodic expiry sweeper
+ */
+const stopExpirySweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  OFFER_STATES,
+  SETTABLE_STATES,
+  canTransition,
+  initialLifecycle,
+  transitionOffer,
+  expireDueOffers,
+  startExpirySweeper,
+  stopExpirySweeper
+};
\ No newline at end of file
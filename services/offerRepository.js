@@ -0,0 +1,185 @@
+/**
+ * Repository for processed loan offers
+ * Stores every offer made, whatever its state, and keeps lookup indexes on
+ * the identifiers partners use to refer back to it. Rejected submissions
+ * are kept separately, as they may lack the identifiers offers are keyed by.
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("../stores");
+
+const offers = getStore("offers");
+const rejections = getStore("rejections");
+
+// Secondary indexes mapping partner identifiers to the owning orderId.
+// Transaction IDs are only unique within a partner, so both are keyed by
+// partner and ID
+const transactionIndex = new Map();
+const tvsTransactionIndex = new Map();
+
+/**
+ * Builds the secondary index key of a partner's transaction ID
+ * 
+ * @param {String|null} partner - Partner code (null for non-partner callers)
+ * @param {String} id - Transaction or TVS transaction ID
+ * @returns {String} Index key
+ */
+const indexKey = (partner, id) => `${partner || ""}:${id}`;
+
+/**
+ * Adds an offer to the secondary indexes
+ * 
+ * @param {Object} offer - Stored offer record
+ */
+const indexOffer = (offer) => {
+  const { partner } = offer.metadata;
+  
+  transactionIndex.set(indexKey(partner, offer.transactionId), offer.orderId);
+  tvsTransactionIndex.set(indexKey(partner, offer.tvsTransactionId), offer.orderId);
+};
+
+// Rebuild indexes from whatever the store already holds (file driver)
+offers.values().forEach(indexOffer);
+
+/**
+ * Saves an offer, replacing any previous offer with the same orderId
+ * 
+ * @param {Object} offer - Offer record to save
+ * @returns {Object} The saved offer
+ */
+const saveOffer = (offer) => {
+  const previous = offers.get(offer.orderId);
+  
+  if (previous) {
+    transactionIndex.delete(indexKey(previous.metadata.partner, previous.transactionId));
+    tvsTransactionIndex.delete(indexKey(previous.metadata.partner, previous.tvsTransactionId));
+  }
+  
+  offers.set(offer.orderId, offer);
+  indexOffer(offer);
+  
+  return offer;
+};
+
+/**
+ * Finds an offer by its order ID
+ * 
+ * @param {String} orderId - Partner order ID
+ * @returns {Object|null} Stored offer or null if not found
+ */
+const findByOrderId = (orderId) => offers.get(orderId);
+
+/**
+ * Finds one of a partner's offers by its transaction ID
+ * 
+ * @param {String} transactionId - Partner transaction ID
+ * @param {String|null} partner - Partner code the offer was made for
+ * @returns {Object|null} Stored offer or null if not found
+ */
+const findByTransactionId = (transactionId, partner) => {
+  const orderId = transactionIndex.get(indexKey(partner, transactionId));
+  return orderId ? offers.get(orderId) : null;
+};
+
+/**
+ * Finds one of a partner's offers by its TVS transaction ID
+ * 
+ * @param {String} tvsTransactionId - TVS transaction ID
+ * @param {String|null} partner - Partner code the offer was made for
+ * @returns {Object|null} Stored offer or null if not found
+ */
+const findByTvsTransactionId = (tvsTransactionId, partner) => {
+  const orderId = tvsTransactionIndex.get(indexKey(partner, tvsTransactionId));
+  return orderId ? offers.get(orderId) : null;
+};
+
+/**
+ * Lists stored offers matching the given filters, newest first
+ * 
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.transactionId - Exact transaction ID
+ * @param {String} filters.tvsTransactionId - Exact TVS transaction ID
+ * @param {String} filters.partner - Partner code the offer was made for
+ * @param {String} filters.status - Current lifecycle state
+ * @param {String} filters.from - ISO date, offers created on or after
+ * @param {String} filters.to - ISO date, offers created on or before
+ * @param {Number} filters.minAmount - Minimum loan amount
+ * @param {Number} filters.maxAmount - Maximum loan amount
+ * @param {Number} filters.limit - Page size
+ * @param {Number} filters.offset - Number of matching offers to skip
+ * @returns {Object} Total match count and the requested page of offers
+ */
+const listOffers = (filters = {}) => {
+  const { limit = 50, offset = 0 } = filters;
+  
+  const matches = offers
+    .values()
+    .filter((offer) => {
+      if (filters.transactionId && offer.transactionId !== filters.transactionId) {
+        return false;
+      }
+      if (filters.tvsTransactionId && offer.tvsTransactionId !== filters.tvsTransactionId) {
+        return false;
+      }
+      if (filters.partner && offer.metadata.partner !== filters.partner) {
+        return false;
+      }
+      if (filters.status && offer.status !== filters.status) {
+        return false;
+      }
+      if (filters.from && offer.createdAt < filters.from) {
+        return false;
+      }
+      if (filters.to && offer.createdAt > filters.to) {
+        return false;
+      }
+      if (filters.minAmount !== undefined && offer.loanAmount < filters.minAmount) {
+        return false;
+      }
+      if (filters.maxAmount !== undefined && offer.loanAmount > filters.maxAmount) {
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  
+  return {
+    total: matches.length,
+    offers: matches.slice(offset, offset + limit)
+  };
+};
+
+/**
+ * Returns every stored offer
+ * 
+ * @returns {Array} Stored offers
+ */
+const getAllOffers = () => offers.values();
+
+/**
+ * Saves a rejected loan offer submission
+ * 
+ * @param {Object} rejection - Rejection record to save
+ * @returns {Object} The saved rejection
+ */
+const saveRejection = (rejection) => {
+  return rejections.set(crypto.randomUUID(), rejection);
+};
+
+/**
+ * Returns every stored rejection
+ * 
+ * @returns {Array} Stored rejections
+ */
+const getAllRejections = () => rejections.values();
+
+module.exports = {
+  saveOffer,
+  getAllOffers,
+  saveRejection,
+  getAllRejections,
+  findByOrderId,
+  findByTransactionId,
+  findByTvsTransactionId,
+  listOffers
+};
\ No newline at end of file
@@ -0,0 +1,289 @@
+/**
+ * Service for the partner registry
+ * 
+ * Each partner holds its own API clients, allowed actions, product codes,
+ * rate tier, ID formats, redirect allowlist and signing secret, request
+ * signing secret and webhook. Partners listed in config.partners are seeded
+ * into the registry at startup unless the store already holds them (file
+ * driver), so changes made through the admin endpoints survive restarts.
+ * Client secrets are stored as SHA-256 hashes.
+ */
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const { getStore } = require("../stores");
+const productService = require("./productService");
+
+const partners = getStore("partners");
+
+/**
+ * Hashes a client secret for storage
+ * 
+ * @param {String} secret - Client secret
+ * @returns {String} Hex-encoded SHA-256
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+};
+
+/**
+ * Converts validated clients to their stored form, keeping the stored
+ * secret of clients sent without one
+ * 
+ * @param {Array} clients - Clients from a validated payload
+ * @param {Array} storedClients - Clients currently stored for the partner
+ * @returns {Array} Clients with secretHash in place of clientSecret
+ */
+const toStoredClients = (clients, storedClients = []) => {
+  return clients.map(({ clientSecret, ...client }) => {
+    const stored = storedClients.find((entry) => entry.clientId === client.clientId);
+    
+    return {
+      ...client,
+      secretHash: clientSecret ? hashSecret(clientSecret) : stored.secretHash
+    };
+  });
+};
+
+/**
+ * Finds the first problem with a partner's clients and product codes
+ * 
+ * @param {Object} partner - Partner about to be stored
+ * @param {Array} storedClients - Clients currently stored for the partner
+ * @returns {Object|null} Error code and message, or null if there is none
+ */
+const findPartnerConflict = (partner, storedClients = []) => {
+  const newClient = partner.clients.find((client) =>
+    !client.clientSecret && !storedClients.some((entry) => entry.clientId === client.clientId)
+  );
+  
+  if (newClient) {
+    return {
+      errorCode: config.errorCodes.invalidValue,
+      message: `clientSecret is required for new client ${newClient.clientId}`
+    };
+  }
+  
+  const takenClient = partner.clients.find((client) =>
+    config.auth.clients.some((entry) => entry.clientId === client.clientId) ||
+    partners.values().some((other) =>
+      other.code !== partner.code &&
+      other.clients.some((entry) => entry.clientId === client.clientId)
+    )
+  );
+  
+  if (takenClient) {
+    return {
+      errorCode: config.errorCodes.conflict,
+      message: `clientId ${takenClient.clientId} is already in use`
+    };
+  }
+  
+  const unknownProduct = (partner.productCodes || []).find((code) => !productService.getProduct(code));
+  
+  if (unknownProduct) {
+    return {
+      errorCode: config.errorCodes.invalidProduct,
+      message: `Unknown productCode: ${unknownProduct}`
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Returns a partner as shown by the admin endpoints, without secrets
+ * 
+ * @param {Object} partner - Stored partner
+ * @returns {Object} Partner with client hashes removed and secrets redacted
+ */
+const toPublicPartner = (partner) => {
+  return {
+    ...partner,
+    clients: partner.clients.map(({ secretHash, ...client }) => client),
+    redirect: partner.redirect && partner.redirect.secret
+      ? { ...partner.redirect, secret: "[REDACTED]" }
+      : partner.redirect,
+    requestSigning: partner.requestSigning
+      ? { ...partner.requestSigning, secret: "[REDACTED]" }
+      : null,
+    webhook: partner.webhook
+      ? { ...partner.webhook, secret: "[REDACTED]" }
+      : null
+  };
+};
+
+/**
+ * Returns a partner by code
+ * 
+ * @param {String} code - Partner code
+ * @returns {Object|null} Stored partner or null if not registered
+ */
+const getPartner = (code) => {
+  return code ? partners.get(code) : null;
+};
+
+/**
+ * Returns a partner by code, without secrets
+ * 
+ * @param {String} code - Partner code
+ * @returns {Object|null} Partner or null if not registered
+ */
+const getPartnerDetails = (code) => {
+  const partner = getPartner(code);
+  
+  return partner ? toPublicPartner(partner) : null;
+};
+
+/**
+ * Lists every partner, without secrets
+ * 
+ * @returns {Array} Partners sorted by code
+ */
+const listPartners = () => {
+  return partners.values()
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(toPublicPartner);
+};
+
+/**
+ * Registers a new partner
+ * 
+ * @param {Object} input - Partner validated against partnerSchema
+ * @returns {Object} The partner without secrets, or the error code and
+ *   message of the conflict that stopped it
+ */
+const createPartner = (input) => {
+  if (partners.has(input.code)) {
+    return {
+      errorCode: config.errorCodes.conflict,
+      message: `Partner ${input.code} already exists`
+    };
+  }
+  
+  const conflict = findPartnerConflict(input);
+  
+  if (conflict) {
+    return conflict;
+  }
+  
+  const now = new Date().toISOString();
+  const partner = partners.set(input.code, {
+    ...input,
+    clients: toStoredClients(input.clients),
+    createdAt: now,
+    updatedAt: now
+  });
+  
+  return { partner: toPublicPartner(partner) };
+};
+
+/**
+ * Changes the settings of a partner
+ * 
+ * @param {String} code - Partner code
+ * @param {Object} changes - Settings validated against partnerUpdateSchema
+ * @returns {Object|null} The partner without secrets, the error code and
+ *   message of the conflict that stopped it, or null if not registered
+ */
+const updatePartner = (code, changes) => {
+  const stored = partners.get(code);
+  
+  if (!stored) {
+    return null;
+  }
+  
+  // Only the clients and product codes being changed are checked, so a
+  // product dropped from the catalog does not block unrelated changes
+  const conflict = findPartnerConflict(
+    { code, clients: changes.clients || [], productCodes: changes.productCodes },
+    stored.clients
+  );
+  
+  if (conflict) {
+    return conflict;
+  }
+  
+  const partner = partners.set(code, {
+    ...stored,
+    ...changes,
+    clients: changes.clients ? toStoredClients(changes.clients, stored.clients) : stored.clients,
+    updatedAt: new Date().toISOString()
+  });
+  
+  return { partner: toPublicPartner(partner) };
+};
+
+/**
+ * Removes a partner; tokens already issued to its clients stop working
+ * 
+ * @param {String} code - Partner code
+ * @returns {Boolean} Whether the partner existed
+ */
+const deletePartner = (code) => {
+  return partners.remove(code);
+};
+
+/**
+ * Authenticates a partner's API client by its credentials
+ * 
+ * @param {String} clientId - Client ID
+ * @param {String} clientSecret - Client secret
+ * @returns {Object|null} Client definition with its partner code and the
+ *   partner role, or null if the credentials are wrong or the partner is
+ *   suspended
+ */
+const authenticatePartnerClient = (clientId, clientSecret) => {
+  const partner = partners.values().find((entry) =>
+    entry.clients.some((client) => client.clientId === clientId)
+  );
+  
+  if (!partner || partner.status !== "ACTIVE") {
+    return null;
+  }
+  
+  const client = partner.clients.find((entry) => entry.clientId === clientId);
+  const expected = Buffer.from(client.secretHash, "hex");
+  const received = Buffer.from(hashSecret(String(clientSecret)), "hex");
+  
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  
+  return {
+    clientId,
+    partner: partner.code,
+    roles: ["partner"],
+    scopes: client.scopes
+  };
+};
+
+/**
+ * Adds the partners from config.partners that the store does not hold yet
+ */
+const seedPartners = () => {
+  const now = new Date().toISOString();
+  
+  config.partners
+    .filter((partner) => !partners.has(partner.code))
+    .forEach((partner) => {
+      partners.set(partner.code, {
+        ...partner,
+        clients: toStoredClients(partner.clients),
+        createdAt: now,
+        updatedAt: now
+      });
+    });
+};
+
+seedPartners();
+
+module.exports = {
+  getPartner,
+  getPartnerDetails,
+  listPartners,
+  createPartner,
+  updatePartner,
+  deletePartner,
+  authenticatePartnerClient
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Service that resolves the permissions held by an authenticated principal
+ * 
+ * Principals carry roles and scopes. Each role grants the scopes listed for
+ * it in config.auth.roles, and a granted scope ending in "*" covers every
+ * scope sharing its prefix (e.g. "admin:*" covers "admin:stats").
+ */
+
+const config = require("../config/config");
+
+/**
+ * Expands roles into scopes and merges them with directly granted scopes
+ * 
+ * @param {Array} roles - Roles held by the principal
+ * @param {Array} scopes - Scopes granted directly to the principal
+ * @returns {Array} Unique list of effective scopes
+ */
+const resolveScopes = (roles = [], scopes = []) => {
+  const roleScopes = roles.flatMap((role) => config.auth.roles[role] || []);
+  
+  return Array.from(new Set([...scopes, ...roleScopes]));
+};
+
+/**
+ * Checks whether a set of granted scopes covers a required scope
+ * 
+ * @param {Array} grantedScopes - Effective scopes of the principal
+ * @param {String} requiredScope - Scope needed for the action
+ * @returns {Boolean} Whether the required scope is granted
+ */
+const hasScope = (grantedScopes, requiredScope) => {
+  return grantedScopes.some((granted) => {
+    if (granted.endsWith("*")) {
+      return requiredScope.startsWith(granted.slice(0, -1));
+    }
+    
+    return granted === requiredScope;
+  });
+};
+
+/**
+ * Returns the required scopes the principal does not hold
+ * 
+ * @param {Array} grantedScopes - Effective scopes of the principal
+ * @param {Array} requiredScopes - Scopes needed for the action
+ * @returns {Array} Missing scopes, empty if all are granted
+ */
+const missingScopes = (grantedScopes, requiredScopes) => {
+  return requiredScopes.filter((scope) => !hasScope(grantedScopes, scope));
+};
+
+module.exports = {
+  resolveScopes,
+  hasScope,
+  missingScopes
+};
\ No newline at end of file
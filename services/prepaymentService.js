@@ -0,0 +1,109 @@
+/**
+ * Service that simulates prepayments (part-payments) against a loan
+ * 
+ * A prepayment is either one-off or recurring, and reduces either the
+ * remaining tenure (EMI unchanged, loan closes earlier) or the EMI
+ * (tenure unchanged, EMI recomputed on the reduced balance).
+ */
+
+const { generateAmortizationSchedule } = require("./loanService");
+const { calculateEmiMinor } = require("./interestMethods/reducingMonthly");
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts
+} = require("../utils/money");
+
+/**
+ * Returns the prepayments that fall due in a given month
+ * 
+ * @param {Array} prepayments - Prepayment definitions
+ * @param {Number} month - Installment number
+ * @returns {Array} Prepayments due after that month's installment
+ */
+const prepaymentsDueIn = (prepayments, month) => {
+  return prepayments.filter((prepayment) => {
+    if (prepayment.type === "oneTime") {
+      return prepayment.month === month;
+    }
+    
+    const { startMonth, endMonth, everyMonths = 1 } = prepayment;
+    
+    return month >= startMonth &&
+      (endMonth === undefined || month <= endMonth) &&
+      (month - startMonth) % everyMonths === 0;
+  });
+};
+
+/**
+ * Simulates a loan with prepayments and compares it against the plain schedule
+ * Prepayments are applied right after the installment of the month they
+ * fall due in. If any prepayment due in a month asks to reduce the EMI, the
+ * EMI is recomputed over the months left in the original tenure.
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months
+ * @param {Array} prepayments - Prepayment definitions
+ * @returns {Object} Revised schedule, interest saved and closure month
+ */
+const simulatePrepayments = (principal, roi, tenure, prepayments) => {
+  const monthlyRate = roi / (12 * 100);
+  const baseline = generateAmortizationSchedule(principal, roi, tenure);
+  const schedule = [];
+  
+  // All amounts are tracked in paise; see utils/money
+  let emi = calculateEmiMinor(toMinorUnits(principal), roi, tenure);
+  let balance = toMinorUnits(principal);
+  
+  for (let month = 1; month <= tenure && balance > 0; month++) {
+    const interest = roundMinor(balance * monthlyRate);
+    
+    // The last installment only needs to clear what is left
+    const principalPaid = month === tenure ? balance : Math.min(emi - interest, balance);
+    balance -= principalPaid;
+    
+    const due = prepaymentsDueIn(prepayments, month);
+    const prepaid = Math.min(
+      balance,
+      due.reduce((sum, prepayment) => sum + toMinorUnits(prepayment.amount), 0)
+    );
+    balance -= prepaid;
+    
+    schedule.push({
+      month,
+      emi: fromMinorUnits(principalPaid + interest),
+      principalPaid: fromMinorUnits(principalPaid),
+      interestPaid: fromMinorUnits(interest),
+      prepayment: fromMinorUnits(prepaid),
+      balance: fromMinorUnits(balance)
+    });
+    
+    const remainingMonths = tenure - month;
+    
+    if (prepaid > 0 && remainingMonths > 0 && balance > 0 &&
+        due.some((prepayment) => prepayment.mode === "reduceEmi")) {
+      emi = calculateEmiMinor(balance, roi, remainingMonths);
+    }
+  }
+  
+  const baselineInterest = toMinorUnits(sumAmounts(baseline, "interestPaid"));
+  const totalInterest = sumAmounts(schedule, "interestPaid");
+  const closureMonth = schedule.length;
+  
+  return {
+    schedule,
+    totalInterest,
+    totalPrepaid: sumAmounts(schedule, "prepayment"),
+    interestSaved: fromMinorUnits(baselineInterest - toMinorUnits(totalInterest)),
+    closureMonth,
+    baselineClosureMonth: baseline.length,
+    monthsSaved: baseline.length - closureMonth,
+    finalEmi: fromMinorUnits(emi)
+  };
+};
+
+module.exports = {
+  simulatePrepayments
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Service that holds the loan product catalog
+ * 
+ * Products define their own amount band, allowed tenures, ROI range, fee
+ * rules, interest methods and repayment structures. The catalog is read
+ * from a JSON or YAML file on first use and can be reloaded at runtime; a
+ * file that fails to parse or validate leaves the current catalog in place.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const config = require("../config/config");
+const { productCatalogSchema } = require("../schemas/productSchemas");
+const { INTEREST_METHODS } = require("./interestMethods");
+
+let catalog = null;
+
+/**
+ * Reads, parses and validates the catalog file
+ * 
+ * @param {String} catalogFile - Path of the JSON or YAML catalog
+ * @returns {Object} Products keyed by code, with the file and load time
+ * @throws {Error} If the file cannot be read, parsed or fails validation
+ */
+const readCatalog = (catalogFile) => {
+  const contents = fs.readFileSync(catalogFile, "utf8");
+  const parsed = [".yaml", ".yml"].includes(path.extname(catalogFile).toLowerCase())
+    ? yaml.load(contents)
+    : JSON.parse(contents);
+  
+  const { error, value } = productCatalogSchema.validate(parsed, { abortEarly: false });
+  
+  if (error) {
+    throw new Error(`Invalid product catalog ${catalogFile}: ${error.message}`);
+  }
+  
+  return {
+    products: new Map(value.products.map((product) => [product.code, product])),
+    catalogFile,
+    loadedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Loads the catalog from the configured file, replacing the current one
+ * 
+ * @returns {Object} Summary of the loaded catalog
+ * @throws {Error} If the file is invalid; the current catalog is kept
+ */
+const reloadCatalog = () => {
+  catalog = readCatalog(config.products.catalogFile);
+  
+  return {
+    catalogFile: catalog.catalogFile,
+    loadedAt: catalog.loadedAt,
+    productCodes: Array.from(catalog.products.keys())
+  };
+};
+
+/**
+ * Returns the catalog, loading it on first use
+ * 
+ * @returns {Object} Current catalog
+ */
+const getCatalog = () => {
+  if (!catalog) {
+    reloadCatalog();
+  }
+  
+  return catalog;
+};
+
+/**
+ * Lists every product in the catalog
+ * 
+ * @returns {Object} Products with the catalog's file and load time
+ */
+const listProducts = () => {
+  const { products, catalogFile, loadedAt } = getCatalog();
+  
+  return {
+    catalogFile,
+    loadedAt,
+    products: Array.from(products.values())
+  };
+};
+
+/**
+ * Looks up a product by code
+ * 
+ * @param {String} code - Product code
+ * @returns {Object|null} Product or null if unknown
+ */
+const getProduct = (code) => {
+  return getCatalog().products.get(code) || null;
+};
+
+// Rules for requests that name no product, from the global limits in
+// config.loan; a tenure range takes the place of the list of tenures
+const defaultRules = {
+  code: null,
+  amount: { min: config.loan.minAmount, max: config.loan.maxAmount },
+  tenureRange: { min: config.loan.minTenure, max: config.loan.maxTenure },
+  roi: { min: config.loan.minRoi, max: config.loan.maxRoi },
+  fees: {},
+  structures: config.loan.structures,
+  offerTtlHours: config.loan.offerTtlHours,
+  interestMethods: [
+    config.loan.defaultInterestMethod,
+    ...INTEREST_METHODS.filter((name) => name !== config.loan.defaultInterestMethod)
+  ]
+};
+
+/**
+ * Returns the rules that apply when a request names no product
+ * 
+ * @returns {Object} Rules in the shape of a catalog product
+ */
+const getDefaultRules = () => defaultRules;
+
+module.exports = {
+  reloadCatalog,
+  listProducts,
+  getProduct,
+  getDefaultRules
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Service for checking and signing the URLs customers are redirected to
+ * 
+ * A partner may only redirect to origins and paths on the allowlist in its
+ * partner registry entry, which closes the open redirect in the checkout
+ * flow. For partners that opt in, the outcome of the request is appended to
+ * the URL as orderId, status and timestamp parameters with an HMAC-SHA256
+ * signature over them, keyed with the partner's own redirect secret, so the
+ * partner's landing page can trust what it receives and no partner can sign
+ * for another.
+ */
+
+const crypto = require("crypto");
+const partnerService = require("./partnerService");
+
+// Query parameters covered by the signature, in signing order
+const SIGNED_PARAMS = ["orderId", "status", "timestamp"];
+
+/**
+ * Converts an allowlisted path pattern to a regular expression
+ * 
+ * @param {String} pattern - Path pattern, "*" matching any run of characters
+ * @returns {RegExp} Anchored expression for the pattern
+ */
+const patternToRegex = (pattern) => {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Checks whether a partner may redirect customers to a URL
+ * 
+ * @param {String} url - Absolute redirection URL
+ * @param {String} partner - Partner code of the caller
+ * @returns {Boolean} Whether the URL's origin and path are allowlisted
+ */
+const isRedirectAllowed = (url, partner) => {
+  const registered = partnerService.getPartner(partner);
+  const entries = registered ? registered.redirect.allowlist : [];
+  let parsed;
+  
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  
+  return entries.some((entry) =>
+    entry.origin === parsed.origin &&
+    entry.paths.some((pattern) => patternToRegex(pattern).test(parsed.pathname))
+  );
+};
+
+/**
+ * Computes the signature of a redirect's status parameters
+ * 
+ * @param {Object} params - orderId, status and timestamp
+ * @param {String} secret - Redirect signing secret of the partner
+ * @returns {String} Hex-encoded HMAC
+ */
+const signRedirectParams = (params, secret) => {
+  const canonical = SIGNED_PARAMS
+    .map((name) => `${name}=${params[name] === undefined ? "" : params[name]}`)
+    .join("&");
+  
+  return crypto
+    .createHmac("sha256", secret)
+    .update(canonical)
+    .digest("hex");
+};
+
+/**
+ * Verifies the signature on a redirect URL produced by buildRedirectUrl
+ * 
+ * @param {String} url - Redirection URL including the signed parameters
+ * @param {String} partner - Partner code the redirect was built for
+ * @returns {Boolean} Whether the signature matches the parameters and was
+ *   made with that partner's secret
+ */
+const verifyRedirectSignature = (url, partner) => {
+  const registered = partnerService.getPartner(partner);
+  
+  if (!registered || !registered.redirect.secret) {
+    return false;
+  }
+  
+  const { searchParams } = new URL(url);
+  const signature = searchParams.get("signature") || "";
+  const expected = signRedirectParams(
+    Object.fromEntries(SIGNED_PARAMS.map((name) => [name, searchParams.get(name) || ""])),
+    registered.redirect.secret
+  );
+  
+  const signatureBytes = Buffer.from(signature);
+  const expectedBytes = Buffer.from(expected);
+  
+  // timingSafeEqual throws on buffers of different lengths, which multi-byte
+  // characters produce even when the string lengths match
+  return signatureBytes.length === expectedBytes.length &&
+    crypto.timingSafeEqual(signatureBytes, expectedBytes);
+};
+
+/**
+ * Builds the URL to send a customer back to, appending signed status
+ * parameters for partners that opted in
+ * 
+ * @param {String} url - Allowlisted redirection URL
+ * @param {Object} outcome - Outcome of the request
+ * @param {String} outcome.orderId - Order the request was for
+ * @param {String} outcome.status - Status of the offer (e.g. "ACCEPTED")
+ * @param {String} outcome.partner - Partner code of the caller
+ * @returns {String} Redirection URL, empty if none was given
+ */
+const buildRedirectUrl = (url, { orderId, status, partner } = {}) => {
+  if (!url) {
+    return "";
+  }
+  
+  const registered = partnerService.getPartner(partner);
+  
+  if (!registered || !registered.redirect.signed) {
+    return url;
+  }
+  
+  const params = {
+    orderId: orderId || "",
+    status: status || "",
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+  const signed = new URL(url);
+  
+  SIGNED_PARAMS.forEach((name) => signed.searchParams.set(name, params[name]));
+  signed.searchParams.set("signature", signRedirectParams(params, registered.redirect.secret));
+  
+  return signed.toString();
+};
+
+module.exports = {
+  isRedirectAllowed,
+  signRedirectParams,
+  verifyRedirectSignature,
+  buildRedirectUrl
+};
\ No newline at end of file
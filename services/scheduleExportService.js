@@ -0,0 +1,298 @@
+/**
+ * Service that renders a calculated repayment schedule for download or print
+ * 
+ * Both exports are built from the schedule rows of the calculation, the same
+ * rows generateAmortizationSchedule produces, so they always agree with the
+ * JSON response. CSV columns and number formatting follow the request or
+ * config.scheduleExport; the HTML plan is a single self-contained page with
+ * inline styles, laid out for printing.
+ */
+
+const config = require("../config/config");
+const { SCHEDULE_COLUMNS } = require("../schemas/exportSchemas");
+const { sumAmounts } = require("../utils/money");
+
+// Column headings used by both exports
+const COLUMN_LABELS = {
+  month: "Month",
+  phase: "Phase",
+  scheduledDueDate: "Scheduled due date",
+  dueDate: "Due date",
+  days: "Days",
+  emi: "EMI",
+  principalPaid: "Principal",
+  interestPaid: "Interest",
+  brokenPeriodInterest: "Broken-period interest",
+  capitalizedInterest: "Capitalized interest",
+  balloonPayment: "Balloon payment",
+  balance: "Balance"
+};
+
+const AMOUNT_COLUMNS = [
+  "emi",
+  "principalPaid",
+  "interestPaid",
+  "brokenPeriodInterest",
+  "capitalizedInterest",
+  "balloonPayment",
+  "balance"
+];
+const COUNT_COLUMNS = ["month", "days"];
+const DATE_COLUMNS = ["scheduledDueDate", "dueDate"];
+
+// Columns summed in the totals row of the HTML plan
+const TOTAL_COLUMNS = ["emi", "principalPaid", "interestPaid", "brokenPeriodInterest", "balloonPayment"];
+
+/**
+ * Builds the number and date formatters for a locale
+ * 
+ * @param {String} locale - BCP 47 locale tag
+ * @param {Boolean} grouping - Whether to use thousands separators
+ * @returns {Object} amount, count, currency, percent and date formatters
+ */
+const formattersFor = (locale, grouping) => {
+  const amount = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    useGrouping: grouping
+  });
+  const count = new Intl.NumberFormat(locale, { useGrouping: grouping });
+  const currency = new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: config.scheduleExport.currency
+  });
+  const date = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeZone: "UTC" });
+  
+  return {
+    amount: (value) => amount.format(value),
+    count: (value) => count.format(value),
+    currency: (value) => currency.format(value),
+    percent: (value) => `${amount.format(value)}%`,
+    // Date-only ISO strings (schedule due dates) are read as UTC midnight
+    date: (value) => date.format(new Date(value))
+  };
+};
+
+/**
+ * Formats one cell of a schedule row
+ * Dates stay ISO in CSV so spreadsheets can parse them
+ * 
+ * @param {Object} row - Schedule row
+ * @param {String} column - Column name
+ * @param {Object} formatters - Formatters from formattersFor
+ * @param {Boolean} localDates - Whether to format dates for the locale
+ * @returns {String} Cell text, empty when the row has no value
+ */
+const formatCell = (row, column, formatters, localDates) => {
+  const value = row[column];
+  
+  if (value === undefined || value === null) {
+    return "";
+  }
+  
+  if (AMOUNT_COLUMNS.includes(column)) {
+    return formatters.amount(value);
+  }
+  
+  if (COUNT_COLUMNS.includes(column)) {
+    return formatters.count(value);
+  }
+  
+  if (DATE_COLUMNS.includes(column) && localDates) {
+    return formatters.date(value);
+  }
+  
+  return String(value);
+};
+
+/**
+ * Quotes a CSV field when it contains the delimiter, a quote or a line break
+ * Locales that use a decimal comma produce such fields with a "," delimiter
+ * 
+ * @param {String} value - Field text
+ * @param {String} delimiter - Field delimiter
+ * @returns {String} Field as written to the file
+ */
+const csvField = (value, delimiter) => {
+  if (!value.includes(delimiter) && !/["\r\n]/.test(value)) {
+    return value;
+  }
+  
+  return `"${value.replace(/"/g, "\"\"")}"`;
+};
+
+/**
+ * Renders a schedule as CSV, with a heading row and CRLF line endings
+ * 
+ * @param {Array} schedule - Schedule rows
+ * @param {Object} options - Export options
+ * @param {Array} options.columns - Columns to include, in order (defaults to
+ *   config.scheduleExport.csv.columns)
+ * @param {String} options.locale - Locale for numbers (defaults to
+ *   config.scheduleExport.locale)
+ * @returns {String} CSV document
+ */
+const toCsv = (schedule, options = {}) => {
+  const settings = config.scheduleExport;
+  const columns = options.columns || settings.csv.columns;
+  const { delimiter } = settings.csv;
+  const formatters = formattersFor(options.locale || settings.locale, settings.csv.grouping);
+  
+  const lines = [
+    columns.map((column) => csvField(COLUMN_LABELS[column], delimiter)),
+    ...schedule.map((row) => columns.map((column) =>
+      csvField(formatCell(row, column, formatters, false), delimiter)
+    ))
+  ];
+  
+  return lines.map((fields) => fields.join(delimiter)).join("\r\n") + "\r\n";
+};
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * 
+ * @param {*} value - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Renders label/value pairs as a two-column table
+ * 
+ * @param {Array} rows - [label, value] pairs; pairs with a null value are left out
+ * @returns {String} HTML table
+ */
+const definitionTable = (rows) => {
+  const body = rows
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([label, value]) =>
+      `<tr><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("\n");
+  
+  return `<table class="summary">\n${body}\n</table>`;
+};
+
+const PRINT_STYLES = `
+body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #999; padding-bottom: 2px; }
+.generated { color: #666; margin: 0; }
+table { border-collapse: collapse; }
+table.summary th { text-align: left; font-weight: normal; color: #555; padding: 3px 24px 3px 0; }
+table.summary td { text-align: right; padding: 3px 0; }
+table.schedule { width: 100%; }
+table.schedule th, table.schedule td { border: 1px solid #bbb; padding: 4px 6px; text-align: right; }
+table.schedule th { background: #eee; }
+table.schedule tfoot td { font-weight: bold; }
+@media print {
+  body { margin: 0; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+}
+`;
+
+/**
+ * Renders a calculation as a printable HTML repayment plan with the loan
+ * summary, upfront charges and the full schedule
+ * 
+ * @param {Object} result - Calculation, including its keyFactStatement
+ * @param {Object} request - Validated calculate request
+ * @param {Object} options - Export options
+ * @param {String} options.locale - Locale for numbers and dates (defaults to
+ *   config.scheduleExport.locale)
+ * @param {Date} options.generatedAt - Time shown as the generation time
+ * @returns {String} HTML document
+ */
+const toHtml = (result, request, options = {}) => {
+  const locale = options.locale || config.scheduleExport.locale;
+  const generatedAt = options.generatedAt || new Date();
+  const formatters = formattersFor(locale, true);
+  const kfs = result.keyFactStatement;
+  const { schedule } = result;
+  
+  // Only the columns this schedule actually fills are shown
+  const columns = SCHEDULE_COLUMNS.filter((column) =>
+    schedule.some((row) => row[column] !== undefined && row[column] !== null)
+  );
+  
+  const summary = definitionTable([
+    ["Loan amount", formatters.currency(kfs.loanAmount)],
+    ["Interest method", result.interestMethod],
+    ["Rate of interest", `${formatters.percent(kfs.roi)} p.a.`],
+    ["Tenure", `${formatters.count(kfs.tenure)} months`],
+    ["Disbursal date", request.disbursalDate ? formatters.date(request.disbursalDate) : null],
+    ["EMI", formatters.currency(result.emi)],
+    ["Total interest", formatters.currency(kfs.totalInterest)],
+    ["APR", formatters.percent(kfs.apr)],
+    ["Effective annual rate", formatters.percent(kfs.effectiveAnnualRate)]
+  ]);
+  
+  const charges = definitionTable([
+    ["Processing fee", formatters.currency(kfs.processingFee)],
+    ...kfs.otherCharges.map((charge) => [charge.name, formatters.currency(charge.amount)]),
+    ["Total upfront charges", formatters.currency(kfs.totalUpfrontCharges)],
+    ["Net disbursal", formatters.currency(kfs.netDisbursal)],
+    ["Total payable", formatters.currency(kfs.totalPayable)]
+  ]);
+  
+  const headings = columns
+    .map((column) => `<th scope="col">${escapeHtml(COLUMN_LABELS[column])}</th>`)
+    .join("");
+  const rows = schedule
+    .map((row) => `<tr>${columns
+      .map((column) => `<td>${escapeHtml(formatCell(row, column, formatters, true))}</td>`)
+      .join("")}</tr>`)
+    .join("\n");
+  const totals = columns
+    .map((column, index) => {
+      if (index === 0) {
+        return "<td>Total</td>";
+      }
+      
+      return TOTAL_COLUMNS.includes(column)
+        ? `<td>${escapeHtml(formatters.amount(
+          sumAmounts(schedule.filter((row) => typeof row[column] === "number"), column)
+        ))}</td>`
+        : "<td></td>";
+    })
+    .join("");
+  
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>Repayment plan</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>Repayment plan</h1>
+<p class="generated">Generated ${escapeHtml(formatters.date(generatedAt))}</p>
+<h2>Loan summary</h2>
+${summary}
+<h2>Fees and charges</h2>
+${charges}
+<h2>Repayment schedule</h2>
+<table class="schedule">
+<thead><tr>${headings}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+<tfoot><tr>${totals}</tr></tfoot>
+</table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  toCsv,
+  toHtml
+};
\ No newline at end of file
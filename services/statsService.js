@@ -0,0 +1,215 @@
+/**
+ * Service that computes portfolio statistics from processed loan offers
+ */
+
+const config = require("../config/config");
+const offerRepository = require("./offerRepository");
+const { OFFER_STATES } = require("./offerLifecycle");
+const { sumAmounts } = require("../utils/money");
+
+const STATUSES = OFFER_STATES;
+const GROUP_BY_OPTIONS = ["day", "week", "month", "tenure", "roi"];
+
+// Error codes of resubmissions that clash with an earlier offer (a retried
+// transaction with a changed payload, or a reused orderId). They say nothing
+// about the loans asked for, so they are counted apart from rejections
+const DUPLICATE_ERROR_CODES = [
+  config.errorCodes.idempotencyConflict,
+  config.errorCodes.conflict
+];
+
+/**
+ * Rounds a number to 2 decimal places
+ * 
+ * @param {Number} value - Value to round
+ * @returns {Number} Rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Finds the label of the bucket a value falls into
+ * Buckets are given as ascending inclusive upper bounds, so bounds of
+ * [12, 24] produce the labels "0-12", "12-24" and "24+"
+ * 
+ * @param {Number} value - Value to place
+ * @param {Array} upperBounds - Ascending bucket upper bounds
+ * @returns {String} Bucket label
+ */
+const bucketLabel = (value, upperBounds) => {
+  const index = upperBounds.findIndex((bound) => value <= bound);
+  
+  if (index === -1) {
+    return `${upperBounds[upperBounds.length - 1]}+`;
+  }
+  
+  return `${index === 0 ? 0 : upperBounds[index - 1]}-${upperBounds[index]}`;
+};
+
+/**
+ * Returns the ISO date (UTC) of the Monday starting the week of a timestamp
+ * 
+ * @param {String} timestamp - ISO timestamp
+ * @returns {String} Week start date (YYYY-MM-DD)
+ */
+const weekStart = (timestamp) => {
+  const date = new Date(timestamp);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  
+  date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  return date.toISOString().substring(0, 10);
+};
+
+/**
+ * Computes the group key of a record
+ * Rejected records without an amount-bearing offer cannot be placed in
+ * tenure or ROI buckets and are grouped under "unknown"
+ * 
+ * @param {Object} record - Offer or rejection record
+ * @param {String} groupBy - Grouping option
+ * @returns {String} Group key
+ */
+const groupKey = (record, groupBy) => {
+  switch (groupBy) {
+    case "day":
+      return record.createdAt.substring(0, 10);
+    case "week":
+      return weekStart(record.createdAt);
+    case "month":
+      return record.createdAt.substring(0, 7);
+    case "tenure":
+      return typeof record.tenure === "number"
+        ? bucketLabel(record.tenure, config.stats.tenureBuckets)
+        : "unknown";
+    case "roi":
+      return typeof record.roi === "number"
+        ? bucketLabel(record.roi, config.stats.roiBuckets)
+        : "unknown";
+    default:
+      return "all";
+  }
+};
+
+/**
+ * Computes aggregate figures for a set of offer and rejection records
+ * Amount, ROI and tenure figures cover every offer made, whatever its
+ * current state; rejected submissions only count towards rejectedCount
+ * and rejectionsByErrorCode, and duplicate submissions only towards
+ * duplicateCount
+ * 
+ * @param {Array} records - Offer, rejection and duplicate records
+ * @returns {Object} Aggregate figures
+ */
+const aggregate = (records) => {
+  const offers = records.filter((record) => record.kind === "offer");
+  const rejected = records.filter((record) => record.kind === "rejection");
+  const duplicates = records.filter((record) => record.kind === "duplicate");
+  
+  const statusCounts = {};
+  offers.forEach((offer) => {
+    statusCounts[offer.status] = (statusCounts[offer.status] || 0) + 1;
+  });
+  
+  const totalAmount = sumAmounts(offers, "loanAmount");
+  const weightedRoiSum = offers.reduce(
+    (sum, offer) => sum + offer.roi * offer.loanAmount, 0
+  );
+  
+  const tenureDistribution = {};
+  offers.forEach((offer) => {
+    const label = bucketLabel(offer.tenure, config.stats.tenureBuckets);
+    tenureDistribution[label] = (tenureDistribution[label] || 0) + 1;
+  });
+  
+  const rejectionsByErrorCode = {};
+  rejected.forEach((rejection) => {
+    rejectionsByErrorCode[rejection.errorCode] =
+      (rejectionsByErrorCode[rejection.errorCode] || 0) + 1;
+  });
+  
+  return {
+    totalCount: offers.length + rejected.length,
+    offerCount: offers.length,
+    rejectedCount: rejected.length,
+    duplicateCount: duplicates.length,
+    statusCounts,
+    totalAmount,
+    averageAmount: offers.length ? round2(totalAmount / offers.length) : 0,
+    weightedAverageRoi: totalAmount ? round2(weightedRoiSum / totalAmount) : 0,
+    averageTenure: offers.length
+      ? round2(offers.reduce((sum, offer) => sum + offer.tenure, 0) / offers.length)
+      : 0,
+    tenureDistribution,
+    rejectionsByErrorCode
+  };
+};
+
+/**
+ * Computes loan portfolio statistics
+ * 
+ * @param {Object} filters - Optional filters and grouping
+ * @param {String} filters.from - ISO date, records created on or after
+ * @param {String} filters.to - ISO date, records created on or before
+ * @param {String} filters.partner - Partner code
+ * @param {String} filters.status - Offer state; "REJECTED" also matches
+ *   rejected submissions
+ * @param {String} filters.groupBy - "day", "week", "month", "tenure" or "roi"
+ * @returns {Object} Overall figures and, when grouped, figures per group
+ */
+const computeLoanStats = (filters = {}) => {
+  const offers = offerRepository.getAllOffers().map((offer) => ({
+    ...offer,
+    kind: "offer",
+    partner: offer.metadata.partner
+  }));
+  const rejections = offerRepository.getAllRejections().map((rejection) => ({
+    ...rejection,
+    kind: DUPLICATE_ERROR_CODES.includes(rejection.errorCode) ? "duplicate" : "rejection"
+  }));
+  
+  const records = [...offers, ...rejections].filter((record) => {
+    if (filters.from && record.createdAt < filters.from) {
+      return false;
+    }
+    if (filters.to && record.createdAt > filters.to) {
+      return false;
+    }
+    if (filters.partner && record.partner !== filters.partner) {
+      return false;
+    }
+    if (filters.status && record.status !== filters.status) {
+      return false;
+    }
+    return true;
+  });
+  
+  const result = {
+    summary: aggregate(records)
+  };
+  
+  if (filters.groupBy) {
+    const groups = new Map();
+    
+    records.forEach((record) => {
+      const key = groupKey(record, filters.groupBy);
+      
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(record);
+    });
+    
+    result.groupBy = filters.groupBy;
+    // Numeric bucket labels sort by their lower bound, dates lexically
+    result.groups = Array.from(groups.keys())
+      .sort((a, b) => parseFloat(a) - parseFloat(b) || a.localeCompare(b))
+      .map((key) => ({ key, ...aggregate(groups.get(key)) }));
+  }
+  
+  return result;
+};
+
+module.exports = {
+  STATUSES,
+  GROUP_BY_OPTIONS,
+  computeLoanStats
+};
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * Service that builds non-level repayment structures on the
+ * reducing-balance monthly method
+ * 
+ * A structure may combine:
+ * - moratorium: an initial period where the customer pays only interest
+ *   ("interestOnly") or nothing at all, with the interest capitalized into
+ *   the balance ("fullDeferral")
+ * - step: EMIs that rise ("up") or fall ("down") by a percentage every N months
+ * - balloon: a lump sum repaid together with the last installment
+ * 
+ * The starting EMI is solved so that the installments (and balloon) repay
+ * the balance left after the moratorium; as with level schedules, the last
+ * installment absorbs rounding so the balance closes at exactly zero.
+ * Structures are validated against product rules by schemas/loanSchemas,
+ * which also rejects those whose first installment would not cover its
+ * interest (negative amortization).
+ */
+
+const {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts
+} = require("../utils/money");
+
+/**
+ * Solves the starting EMI of the repayment phase, so that the stepped
+ * installments and the balloon repay the balance:
+ * balance = sum(E * growth(j) * v^j) + balloon * v^n
+ * 
+ * @param {Number} balance - Balance left after the moratorium, in paise
+ * @param {Number} monthlyRate - Monthly rate of interest
+ * @param {Number} repaymentMonths - Months after the moratorium
+ * @param {Object} structure - Structure definition, already validated
+ * @returns {Object} Unrounded starting EMI in paise, and the growth factor
+ *   of the installment in the j-th repayment month
+ */
+const solveStartingEmi = (balance, monthlyRate, repaymentMonths, structure) => {
+  const balloon = structure.balloon ? toMinorUnits(structure.balloon.amount) : 0;
+  const stepRate = structure.step
+    ? (structure.step.type === "up" ? 1 : -1) * structure.step.percent / 100
+    : 0;
+  const everyMonths = structure.step ? structure.step.everyMonths : repaymentMonths;
+  
+  // Growth factor of the installment in the j-th repayment month
+  const growth = (j) => Math.pow(1 + stepRate, Math.floor((j - 1) / everyMonths));
+  const discount = (j) => Math.pow(1 + monthlyRate, -j);
+  
+  let weightedSum = 0;
+  for (let j = 1; j <= repaymentMonths; j++) {
+    weightedSum += growth(j) * discount(j);
+  }
+  
+  return {
+    startingEmi: (balance - balloon * discount(repaymentMonths)) / weightedSum,
+    growth
+  };
+};
+
+/**
+ * Checks whether the first installment of a structure repays some
+ * principal; a steep step-up (or a large balloon) otherwise leaves the early
+ * installments below their interest and the balance growing
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months, including any moratorium
+ * @param {Object} structure - Structure definition, already validated
+ * @returns {Boolean} Whether the first installment exceeds its interest
+ */
+const repaysPrincipalFromStart = (principal, roi, tenure, structure) => {
+  const monthlyRate = roi / (12 * 100);
+  const moratorium = structure.moratorium || { months: 0 };
+  let balance = toMinorUnits(principal);
+  
+  if (moratorium.type === "fullDeferral") {
+    for (let month = 1; month <= moratorium.months; month++) {
+      balance += roundMinor(balance * monthlyRate);
+    }
+  }
+  
+  const { startingEmi } = solveStartingEmi(balance, monthlyRate, tenure - moratorium.months, structure);
+  
+  return roundMinor(startingEmi) > roundMinor(balance * monthlyRate);
+};
+
+/**
+ * Generates a structured reducing-balance schedule
+ * 
+ * @param {Number} principal - Loan amount
+ * @param {Number} roi - Rate of interest (annual percentage)
+ * @param {Number} tenure - Loan term in months, including any moratorium
+ * @param {Object} structure - Structure definition, already validated
+ * @returns {Object} Starting EMI, schedule rows, totals and a structure summary
+ */
+const generateStructuredSchedule = (principal, roi, tenure, structure) => {
+  const monthlyRate = roi / (12 * 100);
+  const moratorium = structure.moratorium || { months: 0 };
+  const schedule = [];
+  
+  let balance = toMinorUnits(principal);
+  let capitalizedInterest = 0;
+  
+  for (let month = 1; month <= moratorium.months; month++) {
+    const interest = roundMinor(balance * monthlyRate);
+    const deferred = moratorium.type === "fullDeferral";
+    
+    if (deferred) {
+      balance += interest;
+      capitalizedInterest += interest;
+    }
+    
+    schedule.push({
+      month,
+      phase: "moratorium",
+      emi: deferred ? 0 : fromMinorUnits(interest),
+      principalPaid: 0,
+      interestPaid: deferred ? 0 : fromMinorUnits(interest),
+      capitalizedInterest: deferred ? fromMinorUnits(interest) : 0,
+      balance: fromMinorUnits(balance)
+    });
+  }
+  
+  const repaymentMonths = tenure - moratorium.months;
+  const balloon = structure.balloon ? toMinorUnits(structure.balloon.amount) : 0;
+  const { startingEmi, growth } = solveStartingEmi(balance, monthlyRate, repaymentMonths, structure);
+  
+  for (let j = 1; j <= repaymentMonths; j++) {
+    const interest = roundMinor(balance * monthlyRate);
+    const isLast = j === repaymentMonths;
+    const principalPaid = isLast ? balance : roundMinor(startingEmi * growth(j)) - interest;
+    balance -= principalPaid;
+    
+    const row = {
+      month: moratorium.months + j,
+      phase: "repayment",
+      emi: fromMinorUnits(principalPaid + interest),
+      principalPaid: fromMinorUnits(principalPaid),
+      interestPaid: fromMinorUnits(interest),
+      capitalizedInterest: 0,
+      balance: fromMinorUnits(balance)
+    };
+    
+    if (isLast && balloon > 0) {
+      row.balloonPayment = fromMinorUnits(balloon);
+    }
+    
+    schedule.push(row);
+  }
+  
+  const repaymentRows = schedule.filter((row) => row.phase === "repayment");
+  
+  return {
+    emi: repaymentRows[0].emi,
+    schedule,
+    // Capitalized interest is repaid as principal but is still a cost of the loan
+    totalInterest: fromMinorUnits(toMinorUnits(sumAmounts(schedule, "interestPaid")) + capitalizedInterest),
+    totalAmount: sumAmounts(schedule, "emi"),
+    structure: {
+      moratoriumMonths: moratorium.months,
+      moratoriumType: moratorium.type || null,
+      capitalizedInterest: fromMinorUnits(capitalizedInterest),
+      startingEmi: repaymentRows[0].emi,
+      // The last installment includes any balloon, so report the one before it
+      finalEmi: balloon > 0 && repaymentRows.length > 1
+        ? repaymentRows[repaymentRows.length - 2].emi
+        : repaymentRows[repaymentRows.length - 1].emi,
+      balloonPayment: fromMinorUnits(balloon)
+    }
+  };
+};
+
+module.exports = {
+  repaysPrincipalFromStart,
+  generateStructuredSchedule
+};
\ No newline at end of file
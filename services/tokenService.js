@@ -0,0 +1,218 @@
+/**
+ * Service for issuing, verifying and revoking HMAC-signed access tokens
+ * 
+ * Tokens have the form "<payload>.<signature>", where the payload is
+ * base64url-encoded JSON and the signature is an HMAC-SHA256 of the encoded
+ * payload. The payload carries a key ID so tokens signed with a secret that
+ * is being rotated out can still be verified during the rollover window.
+ */
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const { getStore } = require("../stores");
+const partnerService = require("./partnerService");
+
+const revokedTokens = getStore("revokedTokens");
+
+/**
+ * Derives a short, non-secret identifier for a signing secret
+ * 
+ * @param {String} secret - Signing secret
+ * @returns {String} Key ID
+ */
+const keyIdFor = (secret) => {
+  return crypto.createHash("sha256").update(secret).digest("hex").substring(0, 8);
+};
+
+/**
+ * Computes the signature of an encoded payload
+ * 
+ * @param {String} encodedPayload - base64url-encoded payload
+ * @param {String} secret - Signing secret
+ * @returns {String} base64url-encoded HMAC
+ */
+const sign = (encodedPayload, secret) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(encodedPayload)
+    .digest("base64url");
+};
+
+/**
+ * Compares two strings in constant time
+ * 
+ * @param {String} a - First value
+ * @param {String} b - Second value
+ * @returns {Boolean} Whether the values are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Finds the secret matching a key ID, honouring the rollover window of
+ * previous secrets
+ * 
+ * @param {String} keyId - Key ID from the token payload
+ * @returns {String|null} Secret to verify with, or null if none is usable
+ */
+const findSecret = (keyId) => {
+  if (keyId === keyIdFor(config.auth.tokenSecret)) {
+    return config.auth.tokenSecret;
+  }
+  
+  const previous = config.auth.previousSecrets.find(
+    (entry) => keyIdFor(entry.secret) === keyId
+  );
+  
+  if (!previous) {
+    return null;
+  }
+  
+  if (previous.validUntil && new Date(previous.validUntil).getTime() < Date.now()) {
+    return null;
+  }
+  
+  return previous.secret;
+};
+
+/**
+ * Issues a signed token
+ * 
+ * @param {Object} claims - Token claims
+ * @param {String} claims.subject - ID of the authenticated principal
+ * @param {String} claims.partner - Partner the principal belongs to
+ * @param {Array} claims.roles - Roles held by the principal
+ * @param {Array} claims.scopes - Scopes granted directly to the principal
+ * @returns {Object} The token and its expiry
+ */
+const issueToken = ({ subject, partner = null, roles = [], scopes = [] }) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  
+  const payload = {
+    jti: crypto.randomUUID(),
+    sub: subject,
+    partner,
+    roles,
+    scopes,
+    iat: issuedAt,
+    exp: issuedAt + config.auth.tokenExpiryTime,
+    kid: keyIdFor(config.auth.tokenSecret)
+  };
+  
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload, config.auth.tokenSecret)}`,
+    expiresIn: config.auth.tokenExpiryTime,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    payload
+  };
+};
+
+/**
+ * Verifies a token's signature and decodes its payload
+ * Expiry and revocation are checked separately so callers can report them
+ * 
+ * @param {String} token - Token to verify
+ * @returns {Object|null} Decoded payload or null if the token is not authentic
+ */
+const verifyToken = (token) => {
+  try {
+    if (typeof token !== "string") {
+      return null;
+    }
+    
+    const [encodedPayload, signature, ...rest] = token.split(".");
+    
+    if (!encodedPayload || !signature || rest.length > 0) {
+      return null;
+    }
+    
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+    const secret = findSecret(payload.kid);
+    
+    if (!secret || !safeEqual(signature, sign(encodedPayload, secret))) {
+      return null;
+    }
+    
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a decoded token has expired
+ * 
+ * @param {Object} payload - Decoded token payload
+ * @returns {Boolean} Whether the token is past its expiry
+ */
+const isTokenExpired = (payload) => {
+  return payload.exp * 1000 <= Date.now();
+};
+
+/**
+ * Checks whether a decoded token has been revoked
+ * 
+ * @param {Object} payload - Decoded token payload
+ * @returns {Boolean} Whether the token is on the revocation list
+ */
+const isTokenRevoked = (payload) => {
+  return revokedTokens.has(payload.jti);
+};
+
+/**
+ * Adds a token to the revocation list
+ * Entries for tokens that have since expired are pruned, as expiry alone
+ * already rejects them
+ * 
+ * @param {Object} payload - Decoded payload of the token to revoke
+ */
+const revokeToken = (payload) => {
+  revokedTokens
+    .entries()
+    .filter(([, entry]) => entry.exp * 1000 <= Date.now())
+    .forEach(([jti]) => revokedTokens.remove(jti));
+  
+  revokedTokens.set(payload.jti, {
+    jti: payload.jti,
+    sub: payload.sub,
+    exp: payload.exp,
+    revokedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Authenticates an API client by its credentials, looking in the internal
+ * clients of config.auth.clients and then in the partner registry
+ * 
+ * @param {String} clientId - Client ID
+ * @param {String} clientSecret - Client secret
+ * @returns {Object|null} Client definition or null if the credentials are wrong
+ */
+const authenticateClient = (clientId, clientSecret) => {
+  const client = config.auth.clients.find((entry) => entry.clientId === clientId);
+  
+  if (!client) {
+    return partnerService.authenticatePartnerClient(clientId, clientSecret);
+  }
+  
+  if (!safeEqual(client.clientSecret, clientSecret)) {
+    return null;
+  }
+  
+  return { ...client, partner: null };
+};
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  isTokenExpired,
+  isTokenRevoked,
+  revokeToken,
+  authenticateClient
+};
\ No newline at end of file
@@ -0,0 +1,384 @@
+/**
+ * Service that notifies partners of offer events through webhooks
+ * 
+ * Each event a partner subscribed to is written to a durable outbox before
+ * any delivery is attempted. A dispatcher posts due deliveries to the
+ * partner's callback URL, signed with the partner's secret, and retries
+ * failures with exponential backoff. Deliveries that exhaust their attempts
+ * move to the dead-letter list, from which an admin can redeliver them.
+ * 
+ * Signatures are sent as "X-Webhook-Signature: t=<unix seconds>,v1=<hex>",
+ * where v1 is the HMAC-SHA256 of "<t>.<raw body>".
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const config = require("../config/config");
+const { getStore } = require("../stores");
+const { logger } = require("../utils/logger");
+const { onAnyOfferEvent } = require("./offerEvents");
+const partnerService = require("./partnerService");
+
+const DELIVERY_STATUSES = ["PENDING", "DELIVERED", "DEAD"];
+
+// Attempts kept in each delivery's history
+const MAX_HISTORY = 20;
+
+const deliveries = getStore("webhookDeliveries");
+
+// Deliveries currently being posted, so overlapping dispatches skip them
+const inFlight = new Set();
+
+let dispatchTimer = null;
+
+/**
+ * Computes the signature header value for a webhook body
+ * 
+ * @param {String} body - Raw JSON body
+ * @param {String} secret - Partner's webhook secret
+ * @param {Number} timestamp - Unix time in seconds
+ * @returns {String} Signature header value
+ */
+const signWebhookPayload = (body, secret, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Returns the webhook a partner registered, if any
+ * 
+ * @param {String} partner - Partner code
+ * @returns {Object|null} Webhook as { url, secret, events }
+ */
+const webhookEndpointOf = (partner) => {
+  const registered = partnerService.getPartner(partner);
+  
+  return registered ? registered.webhook : null;
+};
+
+/**
+ * Builds the event payload sent to partners
+ * 
+ * @param {String} eventId - Unique event ID
+ * @param {String} type - Event type
+ * @param {Object} record - Offer or rejection record
+ * @returns {Object} Event payload
+ */
+const buildEventPayload = (eventId, type, record) => ({
+  id: eventId,
+  type,
+  createdAt: new Date().toISOString(),
+  data: {
+    orderId: record.orderId || null,
+    transactionId: record.transactionId || null,
+    tvsTransactionId: record.tvsTransactionId || null,
+    status: record.status || null,
+    loanAmount: record.loanAmount === undefined ? null : record.loanAmount,
+    roi: record.roi === undefined ? null : record.roi,
+    tenure: record.tenure === undefined ? null : record.tenure,
+    emi: record.emi === undefined ? null : record.emi,
+    errorCode: record.errorCode || null,
+    errorMessage: record.errorMessage || null
+  }
+});
+
+/**
+ * Writes a delivery to the outbox for the partner of an offer event, if the
+ * partner has a webhook subscribed to the event type
+ * 
+ * @param {String} type - Event type
+ * @param {Object} record - Offer or rejection record
+ * @returns {Object|null} Queued delivery, or null if nobody is subscribed
+ */
+const enqueueEvent = (type, record) => {
+  const partner = record.partner || (record.metadata && record.metadata.partner);
+  const endpoint = webhookEndpointOf(partner);
+  
+  if (!endpoint || !endpoint.events.includes(type)) {
+    return null;
+  }
+  
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const delivery = deliveries.set(id, {
+    id,
+    partner,
+    eventType: type,
+    url: endpoint.url,
+    payload: buildEventPayload(id, type, record),
+    status: "PENDING",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    history: [],
+    createdAt: now,
+    updatedAt: now,
+    deliveredAt: null
+  });
+  
+  if (dispatchTimer) {
+    setImmediate(dispatchDueDeliveries);
+  }
+  
+  return delivery;
+};
+
+/**
+ * Posts a webhook body to a URL
+ * 
+ * @param {String} url - Callback URL
+ * @param {String} body - Raw JSON body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} Resolves with { ok, statusCode, error }
+ */
+const postWebhook = (url, body, headers) => {
+  return new Promise((resolve) => {
+    const target = new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+    
+    const req = transport.request(target, {
+      method: "POST",
+      timeout: config.webhooks.timeoutMs,
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        ...headers
+      }
+    }, (res) => {
+      res.resume();
+      res.on("end", () => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        resolve({ ok, statusCode: res.statusCode, error: ok ? null : `HTTP ${res.statusCode}` });
+      });
+    });
+    
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", (error) => resolve({ ok: false, statusCode: null, error: error.message }));
+    req.end(body);
+  });
+};
+
+/**
+ * Computes the wait before the next attempt after a failed one
+ * 
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+const backoffDelay = (attempts) => {
+  const { initialBackoffMs, maxBackoffMs } = config.webhooks;
+  
+  return Math.min(maxBackoffMs, initialBackoffMs * 2 ** (attempts - 1));
+};
+
+/**
+ * Makes one delivery attempt and records its outcome
+ * 
+ * @param {Object} delivery - Outbox delivery
+ * @returns {Promise<Object>} The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const endpoint = webhookEndpointOf(delivery.partner);
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const result = endpoint
+    ? await postWebhook(delivery.url, body, {
+      "X-Webhook-Id": delivery.id,
+      "X-Webhook-Event": delivery.eventType,
+      "X-Webhook-Signature": signWebhookPayload(body, endpoint.secret, timestamp)
+    })
+    : { ok: false, statusCode: null, error: "Partner no longer has a webhook configured" };
+  
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const exhausted = attempts >= config.webhooks.maxAttempts;
+  const updated = {
+    ...delivery,
+    attempts,
+    status: result.ok ? "DELIVERED" : exhausted ? "DEAD" : "PENDING",
+    nextAttemptAt: result.ok || exhausted
+      ? null
+      : new Date(now.getTime() + backoffDelay(attempts)).toISOString(),
+    lastError: result.error,
+    history: [
+      ...delivery.history,
+      { at: now.toISOString(), statusCode: result.statusCode, error: result.error }
+    ].slice(-MAX_HISTORY),
+    updatedAt: now.toISOString(),
+    deliveredAt: result.ok ? now.toISOString() : delivery.deliveredAt
+  };
+  
+  deliveries.set(delivery.id, updated);
+  
+  if (updated.status === "DEAD") {
+    logger.warn("Webhook delivery moved to dead-letter list", {
+      deliveryId: delivery.id,
+      partner: delivery.partner,
+      eventType: delivery.eventType,
+      attempts,
+      lastError: result.error
+    });
+  } else if (!result.ok) {
+    logger.info("Webhook delivery failed, will retry", {
+      deliveryId: delivery.id,
+      partner: delivery.partner,
+      attempts,
+      nextAttemptAt: updated.nextAttemptAt,
+      lastError: result.error
+    });
+  }
+  
+  return updated;
+};
+
+/**
+ * Attempts every pending delivery that is due
+ * 
+ * @param {Number} now - Current time in milliseconds
+ * @returns {Promise<Array>} The deliveries attempted, after their attempt
+ */
+const dispatchDueDeliveries = async (now = Date.now()) => {
+  const due = deliveries.values().filter((delivery) =>
+    delivery.status === "PENDING" &&
+    !inFlight.has(delivery.id) &&
+    new Date(delivery.nextAttemptAt).getTime() <= now
+  );
+  
+  return Promise.all(due.map(async (delivery) => {
+    inFlight.add(delivery.id);
+    
+    try {
+      return await attemptDelivery(delivery);
+    } catch (error) {
+      logger.error("Error delivering webhook", { deliveryId: delivery.id, error });
+      return delivery;
+    } finally {
+      inFlight.delete(delivery.id);
+    }
+  }));
+};
+
+/**
+ * Starts dispatching due deliveries periodically
+ */
+const startDispatcher = () => {
+  if (dispatchTimer) {
+    return;
+  }
+  
+  dispatchTimer = setInterval(dispatchDueDeliveries, config.webhooks.dispatchIntervalMs);
+  dispatchTimer.unref();
+};
+
+/**
+ * Stops the periodic dispatcher
+ */
+const stopDispatcher = () => {
+  clearInterval(dispatchTimer);
+  dispatchTimer = null;
+};
+
+/**
+ * Lists deliveries matching the given filters, newest first
+ * 
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.status - Delivery status
+ * @param {String} filters.partner - Partner code
+ * @param {String} filters.eventType - Event type
+ * @param {Number} filters.limit - Page size
+ * @param {Number} filters.offset - Number of matching deliveries to skip
+ * @returns {Object} Total match count and the requested page of deliveries
+ */
+const listDeliveries = (filters = {}) => {
+  const { limit = 50, offset = 0 } = filters;
+  
+  const matches = deliveries
+    .values()
+    .filter((delivery) =>
+      (!filters.status || delivery.status === filters.status) &&
+      (!filters.partner || delivery.partner === filters.partner) &&
+      (!filters.eventType || delivery.eventType === filters.eventType)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  
+  return {
+    total: matches.length,
+    deliveries: matches.slice(offset, offset + limit)
+  };
+};
+
+/**
+ * Finds a delivery by ID
+ * 
+ * @param {String} id - Delivery ID
+ * @returns {Object|null} Delivery or null if not found
+ */
+const getDelivery = (id) => deliveries.get(id);
+
+/**
+ * Queues a delivery to be sent again with a fresh set of attempts, to the
+ * partner's current callback URL
+ * A delivery that is being posted is refused: the attempt in flight would
+ * overwrite the requeued record with its own outcome when it finishes
+ * 
+ * @param {String} id - Delivery ID
+ * @returns {Object} The requeued delivery, or the error code and message
+ *   when it is unknown or in flight
+ */
+const redeliver = (id) => {
+  const delivery = deliveries.get(id);
+  
+  if (!delivery) {
+    return {
+      errorCode: config.errorCodes.notFound,
+      message: `No webhook delivery found with ID ${id}`
+    };
+  }
+  
+  if (inFlight.has(id)) {
+    return {
+      errorCode: config.errorCodes.conflict,
+      message: `Webhook delivery ${id} is being attempted; redeliver it once the attempt ends`
+    };
+  }
+  
+  const endpoint = webhookEndpointOf(delivery.partner);
+  const now = new Date().toISOString();
+  const requeued = deliveries.set(id, {
+    ...delivery,
+    url: endpoint ? endpoint.url : delivery.url,
+    status: "PENDING",
+    attempts: 0,
+    nextAttemptAt: now,
+    updatedAt: now
+  });
+  
+  if (dispatchTimer) {
+    setImmediate(dispatchDueDeliveries);
+  }
+  
+  return { delivery: requeued };
+};
+
+onAnyOfferEvent((type, record) => {
+  try {
+    enqueueEvent(type, record);
+  } catch (error) {
+    logger.error("Error queueing webhook", { eventType: type, error });
+  }
+});
+
+module.exports = {
+  DELIVERY_STATUSES,
+  signWebhookPayload,
+  dispatchDueDeliveries,
+  startDispatcher,
+  stopDispatcher,
+  listDeliveries,
+  getDelivery,
+  redeliver
+};
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * File-backed storage driver
+ * Keeps records in memory and persists the whole collection to a JSON file
+ * after every write, so data survives restarts without an external database
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+
+/**
+ * Reads previously persisted entries from disk
+ * 
+ * @param {String} filePath - Path of the JSON file backing the store
+ * @returns {Array} List of [id, record] pairs
+ */
+const loadEntries = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  
+  const contents = fs.readFileSync(filePath, "utf8");
+  return contents.trim() ? JSON.parse(contents) : [];
+};
+
+/**
+ * Creates a store persisted to a JSON file
+ * 
+ * @param {String} filePath - Path of the JSON file backing the store
+ * @returns {Object} Store exposing the same interface as the memory store
+ */
+const createFileStore = (filePath) => {
+  const store = createMemoryStore(loadEntries(filePath));
+  
+  // Write to a temporary file first and rename it over the original,
+  // so a crash mid-write never leaves a truncated collection behind
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store.entries()));
+    fs.renameSync(tempPath, filePath);
+  };
+  
+  return {
+    ...store,
+    
+    set: (id, record) => {
+      store.set(id, record);
+      persist();
+      return record;
+    },
+    
+    remove: (id) => {
+      const removed = store.remove(id);
+      persist();
+      return removed;
+    },
+    
+    clear: () => {
+      store.clear();
+      persist();
+    }
+  };
+};
+
+module.exports = {
+  createFileStore
+};
\ No newline at end of file
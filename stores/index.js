@@ -0,0 +1,96 @@
+/**
+ * Storage layer entry point
+ * Resolves the configured storage driver and hands out one store per collection
+ */
+
+const path = require("path");
+const config = require("../config/config");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { createMemoryRateLimitStore } = require("./memoryRateLimitStore");
+const { createMemoryNonceStore } = require("./memoryNonceStore");
+
+// Stores already created, keyed by collection name
+const collections = new Map();
+
+/**
+ * Returns the store for a named collection, creating it on first use
+ * 
+ * @param {String} collection - Collection name (e.g. "offers")
+ * @returns {Object} Store for the collection
+ */
+const getStore = (collection) => {
+  if (collections.has(collection)) {
+    return collections.get(collection);
+  }
+  
+  let store;
+  
+  switch (config.storage.driver) {
+    case "memory":
+      store = createMemoryStore();
+      break;
+    case "file":
+      store = createFileStore(
+        path.resolve(config.storage.dataDir, `${collection}.json`)
+      );
+      break;
+    default:
+      throw new Error(`Unsupported storage driver: ${config.storage.driver}`);
+  }
+  
+  collections.set(collection, store);
+  return store;
+};
+
+let rateLimitStore = null;
+
+/**
+ * Returns the store that holds rate limit counters
+ * 
+ * @returns {Object} Rate limit store
+ */
+const getRateLimitStore = () => {
+  if (rateLimitStore) {
+    return rateLimitStore;
+  }
+  
+  switch (config.rateLimit.store) {
+    case "memory":
+      rateLimitStore = createMemoryRateLimitStore();
+      break;
+    default:
+      throw new Error(`Unsupported rate limit store: ${config.rateLimit.store}`);
+  }
+  
+  return rateLimitStore;
+};
+
+let nonceStore = null;
+
+/**
+ * Returns the store that remembers the nonces of signed requests
+ * 
+ * @returns {Object} Nonce store
+ */
+const getNonceStore = () => {
+  if (nonceStore) {
+    return nonceStore;
+  }
+  
+  switch (config.requestSigning.nonceStore) {
+    case "memory":
+      nonceStore = createMemoryNonceStore();
+      break;
+    default:
+      throw new Error(`Unsupported nonce store: ${config.requestSigning.nonceStore}`);
+  }
+  
+  return nonceStore;
+};
+
+module.exports = {
+  getStore,
+  getRateLimitStore,
+  getNonceStore
+};
\ No newline at end of file
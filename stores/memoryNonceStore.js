@@ -0,0 +1,53 @@
+/**
+ * In-memory nonce store
+ * Remembers the nonces of signed requests until they expire, so a captured
+ * request cannot be replayed. Any store with the same use() signature (e.g.
+ * one backed by Redis) can replace it so that several instances share it.
+ */
+
+/**
+ * Creates an in-memory nonce store
+ * 
+ * @returns {Object} Store exposing use()
+ */
+const createMemoryNonceStore = () => {
+  const expiries = new Map();
+  
+  /**
+   * Drops nonces whose time has passed
+   * 
+   * @param {Number} now - Current time in milliseconds
+   */
+  const sweep = (now) => {
+    expiries.forEach((expiresAt, key) => {
+      if (expiresAt <= now) {
+        expiries.delete(key);
+      }
+    });
+  };
+  
+  return {
+    /**
+     * Records a nonce unless it has already been seen and not yet expired
+     * 
+     * @param {String} key - Nonce, scoped to its caller
+     * @param {Number} ttlMs - How long the nonce is remembered
+     * @param {Number} now - Current time in milliseconds
+     * @returns {Boolean} Whether the nonce was unused
+     */
+    use: (key, ttlMs, now = Date.now()) => {
+      sweep(now);
+      
+      if (expiries.has(key)) {
+        return false;
+      }
+      
+      expiries.set(key, now + ttlMs);
+      return true;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryNonceStore
+};
\ No newline at end of file
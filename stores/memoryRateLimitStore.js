@@ -0,0 +1,90 @@
+/**
+ * In-memory rate limit store
+ * Keeps a sliding-window log of request timestamps per key. Any store with
+ * the same hit() signature (e.g. one backed by Redis) can replace it so that
+ * several instances share counters.
+ */
+
+/**
+ * Creates an in-memory sliding-window rate limit store
+ * Keys whose window has emptied are swept out on write, at most once per
+ * window length, so callers that stop sending requests do not stay in memory
+ * 
+ * @returns {Object} Store exposing hit() and size()
+ */
+const createMemoryRateLimitStore = () => {
+  // Key -> { timestamps, expiresAt }, where expiresAt is when the newest
+  // timestamp leaves the window
+  const windows = new Map();
+  let lastSweepAt = 0;
+  
+  /**
+   * Drops every key whose window has no requests left in it
+   * 
+   * @param {Number} now - Current time in milliseconds
+   */
+  const sweepExpired = (now) => {
+    windows.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        windows.delete(key);
+      }
+    });
+    
+    lastSweepAt = now;
+  };
+  
+  return {
+    /**
+     * Records a request against a key if it is within the limit
+     * 
+     * @param {String} key - Rate limit key (route and caller)
+     * @param {Number} limit - Requests allowed per window
+     * @param {Number} windowMs - Window length in milliseconds
+     * @param {Number} now - Current time in milliseconds
+     * @returns {Object} Whether the request is allowed, remaining requests
+     *   and milliseconds until the oldest request leaves the window
+     */
+    hit: (key, limit, windowMs, now = Date.now()) => {
+      if (now - lastSweepAt >= windowMs) {
+        sweepExpired(now);
+      }
+      
+      const entry = windows.get(key);
+      const timestamps = (entry ? entry.timestamps : []).filter(
+        (timestamp) => timestamp > now - windowMs
+      );
+      
+      const allowed = timestamps.length < limit;
+      
+      if (allowed) {
+        timestamps.push(now);
+      }
+      
+      if (timestamps.length > 0) {
+        windows.set(key, {
+          timestamps,
+          expiresAt: timestamps[timestamps.length - 1] + windowMs
+        });
+      } else {
+        windows.delete(key);
+      }
+      
+      return {
+        allowed,
+        remaining: Math.max(0, limit - timestamps.length),
+        resetMs: timestamps.length > 0 ? timestamps[0] + windowMs - now : windowMs
+      };
+    },
+    
+    /**
+     * Returns the number of keys being tracked
+     * 
+     * @returns {Number} Tracked keys
+     */
+    size: () => windows.size
+  };
+};
+
+module.exports = {
+  createMemoryRateLimitStore
+};
\ No newline at end of file
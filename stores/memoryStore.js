@@ -0,0 +1,37 @@
+/**
+ * In-memory storage driver
+ * Keeps records in a Map for the lifetime of the process
+ */
+
+/**
+ * Creates an in-memory key/value store
+ * 
+ * @param {Array} initialEntries - Optional list of [id, record] pairs to preload
+ * @returns {Object} Store exposing get/set/remove/values/entries
+ */
+const createMemoryStore = (initialEntries = []) => {
+  const records = new Map(initialEntries);
+  
+  return {
+    get: (id) => (records.has(id) ? records.get(id) : null),
+    
+    has: (id) => records.has(id),
+    
+    set: (id, record) => {
+      records.set(id, record);
+      return record;
+    },
+    
+    remove: (id) => records.delete(id),
+    
+    values: () => Array.from(records.values()),
+    
+    entries: () => Array.from(records.entries()),
+    
+    clear: () => records.clear()
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
\ No newline at end of file
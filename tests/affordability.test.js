@@ -0,0 +1,81 @@
+/**
+ * Tests for the reverse loan calculators: maximum amount, required tenure
+ * and the downpayment and tenure grid
+ */
+
+const { request, app } = require("./support/api");
+
+const calculate = (calculator, body) => request(app).post(`/api/loan/calculate/${calculator}`).send(body);
+
+describe("maximum loan amount", () => {
+  test("finds the largest amount whose EMI fits the budget", async () => {
+    const response = await calculate("max-amount", { emi: 8884.88, roi: 12, tenure: 12 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ loanAmount: 100000, emi: 8884.88, limitedBy: "emi" });
+  });
+  
+  test("clamps a generous budget at config.loan.maxAmount", async () => {
+    const response = await calculate("max-amount", { emi: 5000000, roi: 12, tenure: 12 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data.loanAmount).toBe(10000000);
+    expect(response.body.data.limitedBy).toBe("maxAmount");
+    expect(response.body.data.emi).toBeLessThan(5000000);
+  });
+  
+  test("rejects a budget that does not cover config.loan.minAmount", async () => {
+    const response = await calculate("max-amount", { emi: 100, roi: 12, tenure: 12 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E003");
+  });
+});
+
+describe("required tenure", () => {
+  test("finds the shortest tenure whose EMI fits the budget", async () => {
+    const response = await calculate("tenure", { loanAmount: 100000, emi: 5000, roi: 12 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ tenure: 23, limitedBy: "emi" });
+    expect(response.body.data.emi).toBeLessThanOrEqual(5000);
+  });
+  
+  test("reports config.loan.minTenure when any tenure fits", async () => {
+    const response = await calculate("tenure", { loanAmount: 100000, emi: 50000, roi: 12 });
+    
+    expect(response.body.data).toMatchObject({ tenure: 3, limitedBy: "minTenure" });
+  });
+  
+  test("rejects a budget that cannot repay the loan within config.loan.maxTenure", async () => {
+    const response = await calculate("tenure", { loanAmount: 1000000, emi: 1000, roi: 12 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E004");
+  });
+});
+
+describe("options grid", () => {
+  test("prices the default downpayments and tenures", async () => {
+    const response = await calculate("grid", { assetPrice: 100000, roi: 12 });
+    const { rows, tenures } = response.body.data;
+    
+    expect(response.status).toBe(200);
+    expect(tenures).toEqual([12, 24, 36]);
+    expect(rows.map((row) => row.loanAmount)).toEqual([90000, 80000, 70000]);
+    expect(rows[0].options.map((option) => option.tenure)).toEqual(tenures);
+    expect(rows[0].options.every((option) => option.available)).toBe(true);
+  });
+  
+  test("marks an option unavailable when its loan amount is below the minimum", async () => {
+    const response = await calculate("grid", { assetPrice: 15000, roi: 12, downpayments: [1000, 8000], tenures: [12] });
+    const [kept, dropped] = response.body.data.rows;
+    
+    expect(kept.options[0].available).toBe(true);
+    expect(dropped.options[0]).toEqual({
+      tenure: 12,
+      available: false,
+      reason: "Loan amount is below the minimum of 10000"
+    });
+  });
+});
\ No newline at end of file
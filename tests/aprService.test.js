@@ -0,0 +1,50 @@
+/**
+ * Tests for the APR and effective annual rate of monthly and dated schedules
+ */
+
+const loanService = require("../services/loanService");
+const { calculateApr, buildKeyFactStatement } = require("../services/aprService");
+
+describe("APR", () => {
+  test("discounts a dated schedule by the actual days to each due date", () => {
+    // 100000 received on 1 January against 34000 on days 45, 73 and 104;
+    // solving sum(34000 / (1 + r)^(days / 365)) = 100000 by hand gives
+    // r = 10.27% a year, 12 * ((1 + r)^(1/12) - 1) = 9.82%
+    const schedule = [
+      { emi: 34000, dueDate: "2026-02-15" },
+      { emi: 34000, dueDate: "2026-03-15" },
+      { emi: 34000, dueDate: "2026-04-15" }
+    ];
+    
+    expect(calculateApr(100000, schedule, "2026-01-01")).toEqual({
+      apr: 9.82,
+      effectiveAnnualRate: 10.27
+    });
+  });
+  
+  test("discounts an undated schedule month by month", () => {
+    const calculation = loanService.calculateLoan(100000, 12, 12, "reducingMonthly");
+    
+    expect(calculateApr(100000, calculation.schedule)).toEqual({
+      apr: 12,
+      effectiveAnnualRate: 12.68
+    });
+  });
+  
+  test("counts the broken period of a calendar schedule", () => {
+    const loan = { loanAmount: 100000, roi: 12, tenure: 12 };
+    const calculation = loanService.calculateLoan(100000, 12, 12, "reducingMonthly", {
+      disbursalDate: new Date("2026-01-10T00:00:00Z"),
+      emiDueDay: 5
+    });
+    const keyFactStatement = buildKeyFactStatement(loan, calculation);
+    
+    expect(calculation.brokenPeriodDays).toBe(26);
+    expect(keyFactStatement).toMatchObject(
+      calculateApr(100000, calculation.schedule, calculation.disbursalDate)
+    );
+    expect(keyFactStatement.apr).not.toBe(
+      calculateApr(100000, calculation.schedule).apr
+    );
+  });
+});
\ No newline at end of file
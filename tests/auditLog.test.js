@@ -0,0 +1,51 @@
+/**
+ * Tests for querying the audit trail
+ */
+
+const { request, app, offerData, tokenFor, callAction } = require("./support/api");
+
+describe("audit query paging", () => {
+  let admin;
+  
+  beforeAll(async () => {
+    admin = await tokenFor("demo-admin");
+    
+    const partner = await tokenFor("demo-partner");
+    
+    await callAction("loanOffer", partner, offerData);
+    await callAction("loanStatus", partner, { orderId: offerData.orderId });
+  });
+  
+  const audit = (query) => {
+    return request(app).get(`/api/admin/audit${query}`).set("Authorization", `Bearer ${admin}`);
+  };
+  
+  test("pages through the entries", async () => {
+    const response = await audit("?limit=1&offset=0");
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data.limit).toBe(1);
+    expect(response.body.data.entries).toHaveLength(1);
+    expect(response.body.data.total).toBeGreaterThan(1);
+  });
+  
+  test.each([
+    ["a limit above the maximum", "?limit=100000000", "E003"],
+    ["a limit below one", "?limit=0", "E003"],
+    ["a negative offset", "?offset=-1", "E004"]
+  ])("rejects %s", async (description, query, errorCode) => {
+    const response = await audit(query);
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe(errorCode);
+  });
+  
+  test("holds the offer list to the same bounds", async () => {
+    const response = await request(app)
+      .get("/api/loan/offers?limit=100000000")
+      .set("Authorization", `Bearer ${admin}`);
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E003");
+  });
+});
\ No newline at end of file
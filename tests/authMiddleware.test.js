@@ -0,0 +1,71 @@
+/**
+ * Tests for the role and scope checks of the auth middleware
+ */
+
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const { request, tokenFor } = require("./support/api");
+
+/**
+ * Builds an app with one route guarded by the given middleware
+ * 
+ * @param {Function} guard - Middleware run after token authentication
+ * @returns {Object} Express app
+ */
+const guardedApp = (guard) => {
+  const app = express();
+  
+  // authenticateToken expects a parsed body, as in index.js
+  app.use(express.json());
+  app.get("/guarded", authMiddleware.authenticateToken, guard, (req, res) => {
+    res.status(200).json({ ok: true });
+  });
+  
+  return app;
+};
+
+describe("auth middleware", () => {
+  let admin;
+  let partner;
+  
+  beforeAll(async () => {
+    admin = await tokenFor("demo-admin");
+    partner = await tokenFor("demo-partner");
+  });
+  
+  const get = (app, token) => request(app).get("/guarded").set("Authorization", `Bearer ${token}`);
+  
+  test("requireAdmin lets admin clients through", async () => {
+    const response = await get(guardedApp(authMiddleware.requireAdmin), admin);
+    
+    expect(response.status).toBe(200);
+  });
+  
+  test("requireAdmin refuses partners", async () => {
+    const response = await get(guardedApp(authMiddleware.requireAdmin), partner);
+    
+    expect(response.status).toBe(403);
+    expect(response.body.data.errorMessage).toBe("Missing required role: admin");
+  });
+  
+  test("requireRole checks the role it was created for", async () => {
+    const app = guardedApp(authMiddleware.requireRole("partner"));
+    
+    expect((await get(app, partner)).status).toBe(200);
+    expect((await get(app, admin)).status).toBe(403);
+  });
+  
+  test("requireRole asks for authentication when no principal is attached", async () => {
+    const app = express();
+    app.get("/guarded", authMiddleware.requireRole("admin"), (req, res) => res.json({ ok: true }));
+    
+    expect((await request(app).get("/guarded")).status).toBe(401);
+  });
+  
+  test("requireScope refuses callers missing a scope", async () => {
+    const app = guardedApp(authMiddleware.requireScope("admin:partners"));
+    
+    expect((await get(app, admin)).status).toBe(200);
+    expect((await get(app, partner)).status).toBe(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Tests for token issuance, expiry, revocation and signing secret rotation
+ */
+
+const config = require("../config/config");
+const { request, app, tokenFor } = require("./support/api");
+
+/**
+ * Calls an endpoint that needs a valid token
+ * 
+ * @param {String} token - Access token
+ * @returns {Promise<Object>} supertest response
+ */
+const listOffers = (token) => {
+  return request(app).get("/api/loan/offers").set("Authorization", `Bearer ${token}`);
+};
+
+/**
+ * Revokes a token with a client's credentials
+ *
+ * @param {String} token - Token to revoke
+ * @param {String} clientId - Client revoking the token
+ * @returns {Promise<Object>} supertest response
+ */
+const revoke =(token, clientId = "demo-partner") => {
+  return request(app)
+    .post("/api/auth/revoke")
+    .send({ clientId, clientSecret: `${clientId}-secret`, token });
+};
+
+describe("token issuance", () => {
+  test("issues a bearer token with the client's resolved scopes", async () => {
+    const response = await request(app)
+      .post("/api/auth/token")
+      .send({ clientId: "demo-partner", clientSecret: "demo-partner-secret" });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      tokenType: "Bearer",
+      expiresIn: config.auth.tokenExpiryTime,
+      roles: ["partner"]
+    });
+    expect(response.body.data.scopes).toEqual(expect.arrayContaining(["loan:offer", "loan:read"]));
+  });
+  
+  test("refuses wrong client credentials", async () => {
+    const response = await request(app)
+      .post("/api/auth/token")
+      .send({ clientId: "demo-partner", clientSecret: "not-the-secret" });
+    
+    expect(response.status).toBe(401);
+  });
+  
+  test("rejects a token whose payload was altered", async () => {
+    const [payload, signature] = (await tokenFor("demo-partner")).split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const forged = Buffer.from(JSON.stringify({ ...claims, roles: ["admin"] })).toString("base64url");
+    
+    const response = await listOffers(`${forged}.${signature}`);
+    
+    expect(response.status).toBe(401);
+    expect(response.body.data.errorMessage).toBe("Invalid or expired token");
+  });
+  
+  test("rejects a token once it has expired", async () => {
+    const token = await tokenFor("demo-admin");
+    const issuedAt = Date.now();
+    const now = jest.spyOn(Date, "now").mockReturnValue(issuedAt + (config.auth.tokenExpiryTime + 1) * 1000);
+    
+    try {
+      const response = await listOffers(token);
+      
+      expect(response.status).toBe(401);
+      expect(response.body.data.errorMessage).toBe("Token has expired");
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+describe("token revocation", () => {
+  test("rejects a revoked token", async () => {
+    const token = await tokenFor("demo-partner");
+    
+    const revoked = await revoke(token);
+    const response = await listOffers(token);
+    
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.data.revoked).toBe(true);
+    expect(response.status).toBe(401);
+    expect(response.body.data.errorMessage).toBe("Token has been revoked");
+  });
+  
+  test("only lets a client revoke its own tokens", async () => {
+    const token = await tokenFor("demo-admin");
+    
+    const revoked = await revoke(token, "demo-partner");
+    
+    expect(revoked.status).toBe(400);
+    expect((await listOffers(token)).status).toBe(200);
+  });
+});
+
+describe("signing secret rotation", () => {
+  const originalSecret = config.auth.tokenSecret;
+  
+  afterEach(() => {
+    config.auth.tokenSecret = originalSecret;
+    config.auth.previousSecrets = [];
+  });
+  
+  const rotate = (validUntil) => {
+    config.auth.previousSecrets = [{ secret: originalSecret, validUntil }];
+    config.auth.tokenSecret = "rotatedTokenSigningSecret";
+  };
+  
+  test("keeps accepting tokens signed with a previous secret until validUntil", async () => {
+    const token = await tokenFor("demo-admin");
+    
+    rotate(new Date(Date.now() + 60000).toISOString());
+    
+    expect((await listOffers(token)).status).toBe(200);
+    expect((await listOffers(await tokenFor("demo-admin"))).status).toBe(200);
+  });
+  
+  test("rejects tokens signed with a previous secret after validUntil", async () => {
+    const token = await tokenFor("demo-admin");
+    
+    rotate(new Date(Date.now() - 60000).toISOString());
+    
+    expect((await listOffers(token)).status).toBe(401);
+  });
+  
+  test("rejects tokens signed with a secret that was dropped", async () => {
+    const token = await tokenFor("demo-admin");
+    
+    config.auth.tokenSecret = "rotatedTokenSigningSecret";
+    
+    expect((await listOffers(token)).status).toBe(401);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,33 @@
+/**
+ * Tests that /api/loan/calculate only prices loans within the config.loan limits
+ */
+
+const config = require("../config/config");
+const { request, app } = require("./support/api");
+
+const { minAmount, maxAmount, minTenure, maxTenure, minRoi, maxRoi } = config.loan;
+
+const calculate = (body) => request(app).post("/api/loan/calculate").send(body);
+
+describe("calculate limits", () => {
+  test.each([
+    ["loanAmount below the minimum", { loanAmount: minAmount - 1 }, "E003"],
+    ["loanAmount above the maximum", { loanAmount: maxAmount + 1 }, "E003"],
+    ["tenure below the minimum", { tenure: minTenure - 1 }, "E004"],
+    ["tenure above the maximum", { tenure: 1e9 }, "E004"],
+    ["roi below the minimum", { roi: minRoi - 0.5 }, "E006"],
+    ["roi above the maximum", { roi: 1e9 }, "E006"]
+  ])("rejects a %s", async (description, overrides, errorCode) => {
+    const response = await calculate({ loanAmount: 100000, roi: 12, tenure: 12, ...overrides });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe(errorCode);
+  });
+  
+  test("prices a loan at the upper limits", async () => {
+    const response = await calculate({ loanAmount: maxAmount, roi: maxRoi, tenure: maxTenure });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data.schedule).toHaveLength(maxTenure);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * Tests for shifting due dates onto business days
+ */
+
+const config = require("../config/config");
+const { configSchema } = require("../schemas/configSchema");
+const { toBusinessDay } = require("../services/calendarService");
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+describe("business day shift", () => {
+  const { weekendDays } = config.calendar;
+  
+  afterEach(() => {
+    config.calendar.weekendDays = weekendDays;
+  });
+  
+  test("moves a Sunday due date to the following Monday", () => {
+    expect(toBusinessDay(new Date("2026-03-01T00:00:00Z")).toISOString()).toBe("2026-03-02T00:00:00.000Z");
+  });
+  
+  test("stops with an error when no day of the week is a business day", () => {
+    config.calendar.weekendDays = EVERY_DAY;
+    
+    expect(() => toBusinessDay(new Date("2026-03-01T00:00:00Z"))).toThrow("No business day within 31 days");
+  });
+  
+  test("rejects a configuration with every day of the week as a weekend day", () => {
+    const { error } = configSchema.validate({
+      ...config,
+      calendar: { ...config.calendar, weekendDays: EVERY_DAY }
+    });
+    
+    expect(error.details.map((detail) => detail.path.join("."))).toEqual(["calendar.weekendDays"]);
+  });
+});
\ No newline at end of file
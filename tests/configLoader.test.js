@@ -0,0 +1,89 @@
+/**
+ * Tests for the layered configuration loader and the redacted view served
+ * at /api/admin/config
+ */
+
+const { loadConfig, redactConfig } = require("../config/loader");
+const { request, app, tokenFor } = require("./support/api");
+
+describe("configuration layers", () => {
+  test("merges the environment file over the defaults key by key", () => {
+    const config = loadConfig({ NODE_ENV: "test" });
+    
+    expect(config.environment).toBe("test");
+    expect(config.auth.tokenSecret).toBe("loanOfferServiceSecretKey");
+    expect(config.auth.roles.partner).toEqual(["loan:offer", "loan:validate", "loan:read"]);
+    expect(config.loan.maxTenure).toBe(84);
+  });
+  
+  test("applies environment variables last, converting their values", () => {
+    const config = loadConfig({
+      NODE_ENV: "test",
+      PORT: "4000",
+      TOKEN_PREVIOUS_SECRET: "retiredTokenSecret",
+      TOKEN_PREVIOUS_SECRET_VALID_UNTIL: "2030-01-01T00:00:00Z"
+    });
+    
+    expect(config.server.port).toBe(4000);
+    expect(config.auth.previousSecrets).toEqual([
+      { secret: "retiredTokenSecret", validUntil: "2030-01-01T00:00:00.000Z" }
+    ]);
+  });
+  
+  test("replaces arrays instead of merging them", () => {
+    const clients = [{ clientId: "ops", clientSecret: "ops-secret", roles: ["admin"] }];
+    const config = loadConfig({ NODE_ENV: "test", AUTH_CLIENTS: JSON.stringify(clients) });
+    
+    expect(config.auth.clients.map((client) => client.clientId)).toEqual(["ops"]);
+  });
+  
+  test("lists every problem when the result fails validation", () => {
+    expect(() => loadConfig({ NODE_ENV: "test", LOG_LEVEL: "loud", PORT: "abc" })).toThrow(
+      [
+        "Invalid configuration for environment \"test\":",
+        "  - logLevel: logLevel must be one of [error, warn, info, http, verbose, debug, silly]",
+        "  - server.port: server.port must be a number"
+      ].join("\n")
+    );
+  });
+  
+  test("requires a token secret outside development and test", () => {
+    expect(() => loadConfig({ NODE_ENV: "production" }))
+      .toThrow("auth.tokenSecret must be set for this environment");
+  });
+  
+  test("names an environment variable that cannot be parsed", () => {
+    expect(() => loadConfig({ NODE_ENV: "test", AUTH_CLIENTS: "[oops" }))
+      .toThrow(/^Invalid value for environment variable AUTH_CLIENTS/);
+  });
+});
+
+describe("redacted configuration", () => {
+  test("withholds secrets and shows patterns as their source", () => {
+    const redacted = redactConfig({
+      auth: { tokenSecret: "s3cret", clients: [{ clientId: "ops", clientSecret: "ops-secret" }] },
+      orderIdPattern: /^ORD\d+$/,
+      retries: 3
+    });
+    
+    expect(redacted).toEqual({
+      auth: { tokenSecret: "[REDACTED]", clients: [{ clientId: "ops", clientSecret: "[REDACTED]" }] },
+      orderIdPattern: "/^ORD\\d+$/",
+      retries: 3
+    });
+  });
+  
+  test("is served to admins only", async () => {
+    const admin = await request(app)
+      .get("/api/admin/config")
+      .set("Authorization", `Bearer ${await tokenFor("demo-admin")}`);
+    const partner = await request(app)
+      .get("/api/admin/config")
+      .set("Authorization", `Bearer ${await tokenFor("demo-partner")}`);
+    
+    expect(admin.status).toBe(200);
+    expect(admin.body.data.environment).toBe("test");
+    expect(admin.body.data.config.auth.tokenSecret).toBe("[REDACTED]");
+    expect(partner.status).toBe(403);
+  });
+});
\ No newline at end of file
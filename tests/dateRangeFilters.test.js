@@ -0,0 +1,49 @@
+/**
+ * Tests for the from/to date filters of the offer list and audit trail
+ */
+
+const { request, app, offerData, tokenFor, callAction } = require("./support/api");
+
+const today = new Date().toISOString().substring(0, 10);
+const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+describe("date range filters", () => {
+  let admin;
+  
+  beforeAll(async () => {
+    admin = await tokenFor("demo-admin");
+    
+    await callAction("loanOffer", await tokenFor("demo-partner"), offerData);
+  });
+  
+  const get = (path) => request(app).get(path).set("Authorization", `Bearer ${admin}`);
+  
+  test("includes the whole day named by a date-only to", async () => {
+    const offers = await get(`/api/loan/offers?from=${today}&to=${today}`);
+    const audit = await get(`/api/admin/audit?from=${today}&to=${today}`);
+    
+    expect(offers.status).toBe(200);
+    expect(offers.body.data.offers.map((offer) => offer.orderId)).toEqual([offerData.orderId]);
+    expect(audit.body.data.total).toBeGreaterThan(0);
+  });
+  
+  test("leaves out records made after the day named by to", async () => {
+    const offers = await get(`/api/loan/offers?to=${yesterday}`);
+    const audit = await get(`/api/admin/audit?to=${yesterday}`);
+    
+    expect(offers.body.data.offers).toHaveLength(0);
+    expect(audit.body.data.total).toBe(0);
+  });
+  
+  test("uses a to with a time as given", async () => {
+    const response = await get(`/api/loan/offers?to=${today}T00:00:00Z`);
+    
+    expect(response.body.data.offers).toHaveLength(0);
+  });
+  
+  test("rejects a to that is not a date", async () => {
+    const response = await get("/api/loan/offers?to=tomorrow");
+    
+    expect(response.status).toBe(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Tests for the periodic expiry of offers whose validity has run out
+ */
+
+const config = require("../config/config");
+const offerRepository = require("../services/offerRepository");
+const { startExpirySweeper, stopExpirySweeper } = require("../services/offerLifecycle");
+
+const SWEEP_MS = config.loan.expirySweepIntervalMs;
+const START = new Date("2026-01-01T00:00:00Z").getTime();
+
+/**
+ * Stores a CREATED offer that expires at the given time
+ * 
+ * @param {String} orderId - Order ID
+ * @param {Number} expiresAt - Expiry time in milliseconds
+ */
+const saveCreatedOffer = (orderId, expiresAt) => {
+  offerRepository.saveOffer({
+    orderId,
+    transactionId: `TXN-${orderId}`,
+    tvsTransactionId: `TVS-${orderId}`,
+    status: "CREATED",
+    expiresAt: new Date(expiresAt).toISOString(),
+    history: [],
+    metadata: { partner: null },
+    createdAt: new Date(START).toISOString()
+  });
+};
+
+const statusOf = (orderId) => offerRepository.findByOrderId(orderId).status;
+
+describe("expiry sweeper", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+  });
+  
+  afterEach(() => {
+    stopExpirySweeper();
+    jest.useRealTimers();
+  });
+  
+  test("expires offers on the first sweep after their expiry time", () => {
+    saveCreatedOffer("ORD100001", START + SWEEP_MS * 2.5);
+    startExpirySweeper();
+    
+    jest.advanceTimersByTime(SWEEP_MS * 2);
+    expect(statusOf("ORD100001")).toBe("CREATED");
+    
+    jest.advanceTimersByTime(SWEEP_MS);
+    expect(statusOf("ORD100001")).toBe("EXPIRED");
+  });
+  
+  test("stops sweeping once stopped", () => {
+    saveCreatedOffer("ORD100002", START + SWEEP_MS / 2);
+    startExpirySweeper();
+    startExpirySweeper();
+    expect(jest.getTimerCount()).toBe(1);
+    
+    stopExpirySweeper();
+    expect(jest.getTimerCount()).toBe(0);
+    
+    jest.advanceTimersByTime(SWEEP_MS * 10);
+    expect(statusOf("ORD100002")).toBe("CREATED");
+  });
+});
\ No newline at end of file
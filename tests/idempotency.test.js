@@ -0,0 +1,59 @@
+/**
+ * Tests for retried loanOffer submissions: replays of the same transaction,
+ * payload mismatches and reused order IDs
+ */
+
+const { offerData, tokenFor, callAction } = require("./support/api");
+
+describe("loanOffer idempotency", () => {
+  let token;
+  let original;
+  
+  beforeAll(async () => {
+    token = await tokenFor("demo-partner");
+    original = await callAction("loanOffer", token, offerData);
+    
+    expect(original.status).toBe(200);
+  });
+  
+  test("replays the stored response for the same transaction and payload", async () => {
+    // Key order does not change the payload's fingerprint
+    const reordered = Object.fromEntries(Object.entries(offerData).reverse());
+    const replay = await callAction("loanOffer", token, reordered);
+    
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual(original.body);
+  });
+  
+  test("rejects the same transactionId with a different payload", async () => {
+    const response = await callAction("loanOffer", token, { ...offerData, loanAmount: 60000 });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E005");
+    
+    const status = await callAction("loanStatus", token, { orderId: offerData.orderId });
+    expect(status.body.data.loanAmount).toBe(offerData.loanAmount);
+  });
+  
+  test("rejects the same tvsTransactionId under a new transactionId", async () => {
+    const response = await callAction("loanOffer", token, {
+      ...offerData,
+      orderId: "ORD222222",
+      transactionId: "TXN2222"
+    });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E005");
+  });
+  
+  test("rejects an orderId reused by a new transaction", async () => {
+    const response = await callAction("loanOffer", token, {
+      ...offerData,
+      transactionId: "TXN3333",
+      tvsTransactionId: "TVS3"
+    });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E409");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Tests for the flat, daily-reducing and zero-cost interest methods and how
+ * /api/loan/calculate selects them
+ */
+
+const { getInterestMethod } = require("../services/interestMethods");
+const { buildRepaymentCalendar } = require("../services/calendarService");
+const { request, app } = require("./support/api");
+
+describe("interest method registry", () => {
+  test("looks methods up by name only", () => {
+    expect(getInterestMethod("flatRate")).not.toBeNull();
+    expect(getInterestMethod("ruleOf78")).toBeNull();
+    expect(getInterestMethod("constructor")).toBeNull();
+  });
+});
+
+describe("flat rate", () => {
+  const flatRate = getInterestMethod("flatRate");
+  
+  test("charges interest on the original principal for the whole tenure", () => {
+    const calculation = flatRate.generateSchedule(100000, 12, 12);
+    
+    expect(calculation.emi).toBe(9333.33);
+    expect(calculation.totalInterest).toBe(12000);
+    expect(calculation.totalAmount).toBe(112000);
+    expect(calculation.schedule.every((row) => row.interestPaid === 1000)).toBe(true);
+  });
+  
+  test("puts the leftover paise in the last installment", () => {
+    const last = flatRate.generateSchedule(100000, 12, 12).schedule[11];
+    
+    expect(last).toEqual({ month: 12, emi: 9333.37, principalPaid: 8333.37, interestPaid: 1000, balance: 0 });
+  });
+});
+
+describe("daily reducing", () => {
+  const dailyReducing = getInterestMethod("dailyReducing");
+  
+  test("accrues interest for the actual days of each cycle", () => {
+    const calendar = buildRepaymentCalendar({ disbursalDate: new Date("2026-01-15") }, 3);
+    const { schedule, totalAmount } = dailyReducing.generateSchedule(100000, 12, 3, { calendar });
+    
+    // 100000 x 12% / 365 x 31 days, then 67016.97 x 12% / 365 x 28 days
+    expect(schedule.map((row) => row.days)).toEqual([31, 28, 31]);
+    expect(schedule[0].interestPaid).toBe(1019.18);
+    expect(schedule[1].interestPaid).toBe(616.92);
+    expect(schedule[2].balance).toBe(0);
+    expect(totalAmount).toBe(101978.87);
+  });
+});
+
+describe("zero cost", () => {
+  const zeroCost = getInterestMethod("zeroCost");
+  
+  test("repays only the principal and reports the merchant's subvention", () => {
+    const calculation = zeroCost.generateSchedule(120000, 12, 12);
+    
+    // 120000 less the present value of twelve 10000 installments at 1% a month
+    expect(calculation.emi).toBe(10000);
+    expect(calculation.totalInterest).toBe(0);
+    expect(calculation.totalAmount).toBe(120000);
+    expect(calculation.subventionAmount).toBe(7449.23);
+  });
+  
+  test("has no subvention at a zero ROI", () => {
+    expect(zeroCost.generateSchedule(120000, 0, 12).subventionAmount).toBe(0);
+  });
+});
+
+describe("interest method selection", () => {
+  const calculate = (body) => request(app).post("/api/loan/calculate").send(body);
+  
+  test("calculates with the requested method", async () => {
+    const response = await calculate({ loanAmount: 120000, roi: 12, tenure: 12, interestMethod: "zeroCost" });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      interestMethod: "zeroCost",
+      emi: 10000,
+      totalInterest: 0,
+      subventionAmount: 7449.23
+    });
+  });
+  
+  test("defaults to reducing monthly", async () => {
+    const response = await calculate({ loanAmount: 100000, roi: 12, tenure: 12 });
+    
+    expect(response.body.data).toMatchObject({ interestMethod: "reducingMonthly", emi: 8884.88 });
+  });
+  
+  test("rejects an unknown method", async () => {
+    const response = await calculate({ loanAmount: 100000, roi: 12, tenure: 12, interestMethod: "ruleOf78" });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0].path).toBe("interestMethod");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Tests for the loan portfolio statistics
+ */
+
+const { request, app, offerData, tokenFor, callAction } = require("./support/api");
+
+describe("loan statistics", () => {
+  let admin;
+  
+  beforeAll(async () => {
+    const partner = await tokenFor("demo-partner");
+    admin = await tokenFor("demo-admin");
+    
+    await callAction("loanOffer", partner, offerData);
+    await callAction("loanOffer", partner, { ...offerData, orderId: "ORD222222", transactionId: "TXN2222", tvsTransactionId: "TVS2", tenure: 36 });
+    // Retried transaction with a changed payload (E005)
+    await callAction("loanOffer", partner, { ...offerData, loanAmount: 60000 });
+    // Reused orderId (E409)
+    await callAction("loanOffer", partner, { ...offerData, transactionId: "TXN3333", tvsTransactionId: "TVS3" });
+    // Loan amount below the minimum (E003)
+    await callAction("loanOffer", partner, { ...offerData, orderId: "ORD444444", transactionId: "TXN4444", tvsTransactionId: "TVS4", loanAmount: 10 });
+  });
+  
+  const stats = (query = "") => {
+    return request(app).get(`/api/admin/loan-stats${query}`).set("Authorization", `Bearer ${admin}`);
+  };
+  
+  test("counts duplicate submissions apart from rejections", async () => {
+    const response = await stats();
+    const { summary } = response.body.data;
+    
+    expect(response.status).toBe(200);
+    expect(summary).toMatchObject({
+      totalCount: 3,
+      offerCount: 2,
+      rejectedCount: 1,
+      duplicateCount: 2,
+      rejectionsByErrorCode: { E003: 1 }
+    });
+  });
+  
+  test("splits every record into exactly one group", async () => {
+    const response = await stats("?groupBy=tenure");
+    const { groups } = response.body.data;
+    
+    expect(groups.map((group) => group.key)).toEqual(["0-12", "24-36"]);
+    expect(groups.reduce((sum, group) => sum + group.offerCount, 0)).toBe(2);
+    expect(groups.reduce((sum, group) => sum + group.rejectedCount, 0)).toBe(1);
+    expect(groups.reduce((sum, group) => sum + group.duplicateCount, 0)).toBe(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Tests for the exact money helpers and the one-paisa floor on request amounts
+ */
+
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  roundCurrency,
+  addAmounts
+} = require("../utils/money");
+const { validatePayload } = require("../utils/schemaValidator");
+const { calculateSchemaFor } = require("../schemas/loanSchemas");
+const productService = require("../services/productService");
+
+const calculateSchema = calculateSchemaFor(productService.getDefaultRules());
+
+describe("toMinorUnits", () => {
+  test("rounds amounts whose binary form falls just below half a paisa", () => {
+    expect(toMinorUnits(1.005)).toBe(101);
+    expect(toMinorUnits(8.345)).toBe(835);
+    expect(toMinorUnits(1234567.895)).toBe(123456790);
+  });
+  
+  test("rounds half away from zero", () => {
+    expect(toMinorUnits(0.015)).toBe(2);
+    expect(toMinorUnits(-1.005)).toBe(-101);
+    expect(toMinorUnits(-0.015)).toBe(-2);
+  });
+  
+  test("scales amounts that print in exponent form", () => {
+    expect(toMinorUnits(1e-7)).toBe(0);
+    expect(toMinorUnits(5e-3)).toBe(1);
+    expect(toMinorUnits(1e21)).toBe(1e23);
+  });
+  
+  test("round-trips every paisa value", () => {
+    for (let paise = 0; paise <= 100000; paise += 7) {
+      expect(toMinorUnits(fromMinorUnits(paise))).toBe(paise);
+    }
+  });
+});
+
+describe("roundCurrency and addAmounts", () => {
+  test("sum exactly in paise", () => {
+    expect(addAmounts(0.1, 0.2)).toBe(0.3);
+    expect(roundCurrency(2.675)).toBe(2.68);
+  });
+});
+
+describe("calculate request amounts", () => {
+  test("rejects a loan amount below one paisa", () => {
+    const validation = validatePayload(calculateSchema, { loanAmount: 1e-7, roi: 12, tenure: 12 });
+    
+    expect(validation.isValid).toBe(false);
+    expect(validation.fieldErrors.map((error) => error.path)).toContain("loanAmount");
+  });
+  
+  test("rejects prepayments below one paisa", () => {
+    const validation = validatePayload(calculateSchema, {
+      loanAmount: 100000,
+      roi: 12,
+      tenure: 12,
+      prepayments: [{ type: "oneTime", mode: "reduceTenure", month: 3, amount: 0.001 }]
+    });
+    
+    expect(validation.isValid).toBe(false);
+    expect(validation.fieldErrors[0].path).toBe("prepayments.0.amount");
+  });
+});
\ No newline at end of file
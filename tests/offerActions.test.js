@@ -0,0 +1,88 @@
+/**
+ * Tests for the loanStatus, cancelOffer and updateOffer actions of
+ * fkApiServices.do
+ */
+
+const { offerData, tokenFor, callAction } = require("./support/api");
+
+const secondOffer = { ...offerData, orderId: "ORD222222", transactionId: "TXN2222", tvsTransactionId: "TVS2" };
+
+describe("offer actions", () => {
+  let partner;
+  
+  beforeAll(async () => {
+    partner = await tokenFor("demo-partner");
+    
+    await callAction("loanOffer", partner, offerData);
+    await callAction("loanOffer", partner, secondOffer);
+  });
+  
+  test("loanStatus finds an offer by orderId or transactionId", async () => {
+    const byOrder = await callAction("loanStatus", partner, { orderId: offerData.orderId });
+    const byTransaction = await callAction("loanStatus", partner, { transactionId: offerData.transactionId });
+    
+    expect(byOrder.status).toBe(200);
+    expect(byOrder.body.statusCode).toBe("SR");
+    expect(byOrder.body.data).toMatchObject({ orderId: offerData.orderId, status: "CREATED" });
+    expect(byTransaction.body.data).toEqual(byOrder.body.data);
+  });
+  
+  test("loanStatus needs exactly one of orderId and transactionId", async () => {
+    const response = await callAction("loanStatus", partner, {
+      orderId: offerData.orderId,
+      transactionId: offerData.transactionId
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.statusCode).toBe("ER");
+  });
+  
+  test("loanStatus reports an unknown offer", async () => {
+    const response = await callAction("loanStatus", partner, { orderId: "ORD999999" });
+    
+    expect(response.status).toBe(404);
+    expect(response.body.data.errorCode).toBe("E404");
+  });
+  
+  test("updateOffer recalculates the amended terms", async () => {
+    const response = await callAction("updateOffer", partner, { orderId: offerData.orderId, tenure: 24 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ tenure: 24, loanAmount: offerData.loanAmount });
+    expect(response.body.data.emi).toBeLessThan(5000);
+  });
+  
+  test("updateOffer holds the amendment to the product rules", async () => {
+    const response = await callAction("updateOffer", partner, { orderId: offerData.orderId, loanAmount: 10 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E003");
+  });
+  
+  test("cancelOffer withdraws an offer, which can then no longer be updated", async () => {
+    const cancelled = await callAction("cancelOffer", partner, {
+      orderId: secondOffer.orderId,
+      reason: "Customer changed their mind"
+    });
+    const update = await callAction("updateOffer", partner, { orderId: secondOffer.orderId, tenure: 24 });
+    
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.status).toBe("CANCELLED");
+    expect(update.status).toBe(409);
+    expect(update.body.data.errorCode).toBe("E016");
+  });
+  
+  test("cancelOffer rejects an offer that is already cancelled", async () => {
+    const response = await callAction("cancelOffer", partner, { orderId: secondOffer.orderId });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E017");
+  });
+  
+  test("rejects an action that is not registered", async () => {
+    const response = await callAction("deleteOffer", partner, { orderId: offerData.orderId });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorMessage).toBe("Unsupported action parameter");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Tests that order and transaction IDs cannot reach another partner's offers
+ */
+
+const { offerData, tokenFor, callAction, createPartner } = require("./support/api");
+
+describe("offer identifiers", () => {
+  let tvs;
+  let acme;
+  
+  beforeAll(async () => {
+    const admin = await tokenFor("demo-admin");
+    
+    await createPartner(admin, {
+      code: "ACME",
+      clients: [{ clientId: "acme-1", clientSecret: "acme-1-secret" }],
+      allowedActions: ["loanOffer", "loanStatus"]
+    });
+    
+    tvs = await tokenFor("demo-partner");
+    acme = await tokenFor("acme-1");
+    
+    const response = await callAction("loanOffer", tvs, offerData);
+    expect(response.status).toBe(200);
+  });
+  
+  test("rejects an orderId already used with other transaction IDs", async () => {
+    const response = await callAction("loanOffer", tvs, {
+      ...offerData,
+      transactionId: "TXN9999",
+      tvsTransactionId: "TVS9"
+    });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E409");
+  });
+  
+  test("rejects another partner's orderId instead of replacing the offer", async () => {
+    const response = await callAction("loanOffer", acme, offerData);
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E409");
+    
+    const status = await callAction("loanStatus", tvs, { orderId: offerData.orderId });
+    expect(status.body.data.loanAmount).toBe(offerData.loanAmount);
+  });
+  
+  test("neither replays nor conflicts with another partner's transaction", async () => {
+    // Same transaction IDs as the TVS offer with a different payload, which
+    // would be an idempotency conflict within one partner
+    const response = await callAction("loanOffer", acme, {
+      ...offerData,
+      orderId: "ORD777777",
+      loanAmount: 90000
+    });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.statusCode).toBe("SR");
+    expect(response.body.data.redirectionURL).not.toContain(offerData.orderId);
+  });
+  
+  test("still replays a partner's own retried transaction", async () => {
+    const response = await callAction("loanOffer", tvs, offerData);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.statusCode).toBe("SR");
+  });
+  
+  test("looks transactions up within the calling partner", async () => {
+    const own = await callAction("loanStatus", tvs, { transactionId: "TXN1234" });
+    const other = await callAction("loanStatus", acme, { transactionId: "TXN1234" });
+    
+    expect(own.body.data.orderId).toBe(offerData.orderId);
+    expect(other.body.data.orderId).toBe("ORD777777");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Tests for who may move an offer through its lifecycle
+ */
+
+const { request, app, offerData, tokenFor, callAction, createPartner } = require("./support/api");
+
+// A second offer, left CREATED until the replay test accepts it
+const retriedOffer = { ...offerData, orderId: "ORD654321", transactionId: "TXN4321", tvsTransactionId: "TVS2" };
+
+describe("offer lifecycle", () => {
+  let partner;
+  let admin;
+  
+  beforeAll(async () => {
+    partner = await tokenFor("demo-partner");
+    admin = await tokenFor("demo-admin");
+    
+    await callAction("loanOffer", partner, offerData);
+  });
+  
+  const setStatus = (token, orderId, body) => {
+    return request(app)
+      .post(`/api/admin/offers/${orderId}/status`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+  };
+  
+  test("partners cannot call updateOfferStatus", async () => {
+    const response = await callAction("updateOfferStatus", partner, {
+      orderId: offerData.orderId,
+      status: "DISBURSED"
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorMessage).toBe("Unsupported action parameter");
+  });
+  
+  test("partners cannot be allowed updateOfferStatus", async () => {
+    const response = await createPartner(admin, {
+      code: "ACME",
+      allowedActions: ["loanOffer", "updateOfferStatus"]
+    });
+    
+    expect(response.status).toBe(400);
+  });
+  
+  test("partners cannot use the admin status endpoint", async () => {
+    const response = await setStatus(partner, offerData.orderId, { status: "ACCEPTED" });
+    
+    expect(response.status).toBe(403);
+  });
+  
+  test("admin clients move offers through lender transitions", async () => {
+    const accepted = await setStatus(admin, offerData.orderId, { status: "ACCEPTED" });
+    const disbursed = await setStatus(admin, offerData.orderId, { status: "DISBURSED", reason: "Paid out" });
+    
+    expect(accepted.status).toBe(200);
+    expect(disbursed.status).toBe(200);
+    expect(disbursed.body.data.status).toBe("DISBURSED");
+    expect(disbursed.body.data.history.map((entry) => entry.to)).toEqual(["CREATED", "ACCEPTED", "DISBURSED"]);
+  });
+  
+  test("replays the stored loanOffer response unchanged after a transition", async () => {
+    const original = await callAction("loanOffer", partner, retriedOffer);
+    
+    await setStatus(admin, retriedOffer.orderId, { status: "ACCEPTED" });
+    
+    const replay = await callAction("loanOffer", partner, retriedOffer);
+    const status = await callAction("loanStatus", partner, { orderId: retriedOffer.orderId });
+    
+    expect(replay.status).toBe(200);
+    expect(original.body.data.offerStatus).toBe("CREATED");
+    expect(replay.body.data.offerStatus).toBe("CREATED");
+    expect(replay.body).toEqual(original.body);
+    expect(status.body.data.status).toBe("ACCEPTED");
+  });
+  
+  test("rejects transitions the lifecycle does not allow", async () => {
+    const response = await setStatus(admin, offerData.orderId, { status: "REJECTED" });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E017");
+  });
+  
+  test("rejects states that cannot be set", async () => {
+    const response = await setStatus(admin, offerData.orderId, { status: "EXPIRED" });
+    
+    expect(response.status).toBe(400);
+  });
+  
+  test("reports unknown offers", async () => {
+    const response = await setStatus(admin, "ORD000000", { status: "ACCEPTED" });
+    
+    expect(response.status).toBe(404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Tests that partners reading offers back get the public view only
+ */
+
+const { request, app, offerData, tokenFor, callAction } = require("./support/api");
+
+const PRIVATE_FIELDS = ["request", "requestHash", "response", "metadata", "schedule", "keyFactStatement"];
+
+describe("reading offers back", () => {
+  let partner;
+  let admin;
+  
+  beforeAll(async () => {
+    partner = await tokenFor("demo-partner");
+    admin = await tokenFor("demo-admin");
+    
+    await callAction("loanOffer", partner, offerData);
+  });
+  
+  const get = (path, token) => request(app).get(path).set("Authorization", `Bearer ${token}`);
+  
+  test("returns partners the identifiers, status, amounts and schedule summary", async () => {
+    const response = await get(`/api/loan/offers/${offerData.orderId}`, partner);
+    const offer = response.body.data;
+    
+    expect(response.status).toBe(200);
+    expect(offer).toMatchObject({
+      orderId: offerData.orderId,
+      transactionId: offerData.transactionId,
+      tvsTransactionId: offerData.tvsTransactionId,
+      status: "CREATED",
+      loanAmount: offerData.loanAmount,
+      tenure: offerData.tenure,
+      processingFee: offerData.processingFee
+    });
+    expect(offer.scheduleSummary.installments).toBe(offerData.tenure);
+    expect(offer.scheduleSummary.totalPayable).toBeGreaterThan(offerData.loanAmount);
+    PRIVATE_FIELDS.forEach((field) => expect(offer).not.toHaveProperty(field));
+  });
+  
+  test("lists partners' offers in the same public view", async () => {
+    const response = await get("/api/loan/offers", partner);
+    
+    expect(response.body.data.offers).toHaveLength(1);
+    PRIVATE_FIELDS.forEach((field) => expect(response.body.data.offers[0]).not.toHaveProperty(field));
+  });
+  
+  test("keeps the full record for admin clients", async () => {
+    const response = await get(`/api/loan/offers/${offerData.orderId}`, admin);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data.metadata.partner).toBe("TVS");
+    expect(response.body.data.schedule).toHaveLength(offerData.tenure);
+  });
+});
\ No newline at end of file
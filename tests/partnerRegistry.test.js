@@ -0,0 +1,87 @@
+/**
+ * Tests for the partner registry admin endpoints and the partner context of
+ * API calls
+ */
+
+const { request, app, offerData, tokenFor, callAction, createPartner } = require("./support/api");
+
+const acme = {
+  code: "ACME",
+  clients: [{ clientId: "acme-1", clientSecret: "acme-1-secret" }],
+  allowedActions: ["loanStatus"],
+  requestSigning: { secret: "acme-request-signing-secret" }
+};
+
+describe("partner registry", () => {
+  let admin;
+  
+  beforeAll(async () => {
+    admin = await tokenFor("demo-admin");
+  });
+  
+  const adminRequest = (method, path) => {
+    return request(app)[method](`/api/admin/partners${path}`).set("Authorization", `Bearer ${admin}`);
+  };
+  
+  test("registers a partner without returning its secrets", async () => {
+    const response = await createPartner(admin, acme);
+    
+    expect(response.status).toBe(201);
+    expect(response.body.data.clients).toEqual([{ clientId: "acme-1", scopes: [] }]);
+    expect(response.body.data.requestSigning.secret).toBe("[REDACTED]");
+    
+    const listed = await adminRequest("get", "");
+    expect(listed.body.data.partners.map((partner) => partner.code)).toEqual(["ACME", "TVS"]);
+  });
+  
+  test("rejects a partner code that is already registered", async () => {
+    const response = await createPartner(admin, { ...acme, clients: [] });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.data.errorCode).toBe("E409");
+  });
+  
+  test("rejects a client ID used by another partner", async () => {
+    const response = await createPartner(admin, {
+      code: "COPYCAT",
+      clients: [{ clientId: "demo-partner", clientSecret: "copycat-secret" }]
+    });
+    
+    expect(response.status).toBe(409);
+  });
+  
+  test("only lets admins manage partners", async () => {
+    const response = await createPartner(await tokenFor("demo-partner"), { code: "ROGUE" });
+    
+    expect(response.status).toBe(403);
+    expect(response.body.data.errorCode).toBe("E403");
+  });
+  
+  test("holds a partner to its allowed actions", async () => {
+    const token = await tokenFor("acme-1");
+    const status = await callAction("loanStatus", token, { orderId: offerData.orderId });
+    const offer = await callAction("loanOffer", token, offerData);
+    
+    expect(status.status).toBe(404);
+    expect(offer.status).toBe(403);
+    expect(offer.body.data.errorCode).toBe("E403");
+  });
+  
+  test("stops issuing tokens to a suspended partner's clients", async () => {
+    const updated = await adminRequest("patch", "/ACME").send({ status: "SUSPENDED" });
+    const token = await request(app)
+      .post("/api/auth/token")
+      .send({ clientId: "acme-1", clientSecret: "acme-1-secret" });
+    
+    expect(updated.status).toBe(200);
+    expect(token.status).toBe(401);
+  });
+  
+  test("removes a partner", async () => {
+    const removed = await adminRequest("delete", "/ACME");
+    const lookup = await adminRequest("get", "/ACME");
+    
+    expect(removed.status).toBe(200);
+    expect(lookup.status).toBe(404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Tests the prepayment simulation of /api/loan/calculate
+ */
+
+const { toMinorUnits } = require("../utils/money");
+const { request, app } = require("./support/api");
+
+const loan = {
+  loanAmount: 500000,
+  roi: 11.5,
+  tenure: 36,
+  prepayments: [{ type: "oneTime", mode: "reduceTenure", month: 6, amount: 50000 }]
+};
+
+const calculate = (body) => request(app).post("/api/loan/calculate").send(body);
+
+describe("prepayment simulation", () => {
+  test("measures interest saved against the schedule it returns", async () => {
+    const response = await calculate(loan);
+    const { totalInterest, prepaymentSimulation } = response.body.data;
+    
+    expect(response.status).toBe(200);
+    expect(toMinorUnits(prepaymentSimulation.interestSaved))
+      .toBe(toMinorUnits(totalInterest) - toMinorUnits(prepaymentSimulation.totalInterest));
+    expect(prepaymentSimulation.monthsSaved).toBeGreaterThan(0);
+  });
+  
+  test("rejects prepayments on a dated schedule", async () => {
+    const response = await calculate({ ...loan, disbursalDate: "2026-01-10", emiDueDay: 5 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0].path).toBe("prepayments");
+  });
+  
+  test("rejects prepayments on a schedule with only an EMI due day", async () => {
+    const response = await calculate({ ...loan, emiDueDay: 5 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0]).toMatchObject({
+      path: "prepayments",
+      message: "prepayments cannot be simulated together with an emiDueDay"
+    });
+  });
+});
\ No newline at end of file
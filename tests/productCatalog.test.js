@@ -0,0 +1,112 @@
+/**
+ * Tests for the loan product catalog: offers held to a product's rules and
+ * the admin list and reload endpoints
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config/config");
+const { request, app, offerData, tokenFor, callAction } = require("./support/api");
+
+describe("offers against catalog products", () => {
+  let partner;
+  
+  beforeAll(async () => {
+    partner = await tokenFor("demo-partner");
+  });
+  
+  const offer = (overrides) => {
+    return callAction("loanOffer", partner, { ...offerData, productCode: "TWO_WHEELER", ...overrides });
+  };
+  
+  test("accepts an offer within the product's rules", async () => {
+    const response = await offer({});
+    
+    expect(response.status).toBe(200);
+    expect(response.body.statusCode).toBe("SR");
+  });
+  
+  test.each([
+    ["a tenure the product does not list", { tenure: 15 }, "data.tenure", "E004"],
+    ["an amount above the product's band", { loanAmount: 400000 }, "data.loanAmount", "E003"],
+    ["an interest method the product does not offer", { interestMethod: "dailyReducing" }, "data.interestMethod", "E009"],
+    ["an unknown product", { productCode: "GOLD" }, "data.productCode", "E011"]
+  ])("rejects %s", async (description, overrides, fieldPath, errorCode) => {
+    const response = await offer({ orderId: "ORD222222", transactionId: "TXN2222", tvsTransactionId: "TVS2", ...overrides });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0]).toMatchObject({ path: fieldPath, code: errorCode });
+  });
+});
+
+describe("product catalog administration", () => {
+  const catalogFile = config.products.catalogFile;
+  let tempDir;
+  let admin;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+    admin = await tokenFor("demo-admin");
+  });
+  
+  afterAll(() => {
+    config.products.catalogFile = catalogFile;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const listProducts = () => request(app).get("/api/admin/products").set("Authorization", `Bearer ${admin}`);
+  const reload = () => request(app).post("/api/admin/products/reload").set("Authorization", `Bearer ${admin}`);
+  
+  /**
+   * Points the catalog at a new file in the temporary directory
+   * 
+   * @param {String} name - File name; its extension picks JSON or YAML
+   * @param {String} contents - File contents
+   */
+  const useCatalogFile = (name, contents) => {
+    config.products.catalogFile = path.join(tempDir, name);
+    fs.writeFileSync(config.products.catalogFile, contents);
+  };
+  
+  test("lists the products to admins only", async () => {
+    const response = await listProducts();
+    const denied = await request(app)
+      .get("/api/admin/products")
+      .set("Authorization", `Bearer ${await tokenFor("demo-partner")}`);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data.products.map((product) => product.code))
+      .toEqual(["TWO_WHEELER", "CONSUMER_DURABLE", "PERSONAL", "EDUCATION"]);
+    expect(denied.status).toBe(403);
+  });
+  
+  test("reloads the catalog from a YAML file", async () => {
+    useCatalogFile("products.yaml", [
+      "products:",
+      "  - code: GOLD",
+      "    name: Gold loan",
+      "    amount: { min: 10000, max: 500000 }",
+      "    tenures: [3, 6, 12]",
+      "    roi: { min: 9, max: 18 }",
+      "    interestMethods: [reducingMonthly]"
+    ].join("\n"));
+    
+    const response = await reload();
+    
+    expect(response.status).toBe(200);
+    expect(response.body.data.productCodes).toEqual(["GOLD"]);
+    expect((await listProducts()).body.data.products).toHaveLength(1);
+  });
+  
+  test("keeps the current catalog when the new file is invalid", async () => {
+    useCatalogFile("broken.json", JSON.stringify({ products: [{ code: "BROKEN", tenures: [] }] }));
+    
+    const response = await reload();
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E009");
+    expect(response.body.data.errorMessage).toMatch(/^Product catalog was not reloaded/);
+    expect((await listProducts()).body.data.products.map((product) => product.code)).toEqual(["GOLD"]);
+  });
+});
\ No newline at end of file
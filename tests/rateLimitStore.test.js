@@ -0,0 +1,45 @@
+/**
+ * Tests for the in-memory sliding-window rate limit store
+ */
+
+const { createMemoryRateLimitStore } = require("../stores/memoryRateLimitStore");
+
+const WINDOW_MS = 60 * 1000;
+
+describe("memory rate limit store", () => {
+  test("allows requests up to the limit within a window", () => {
+    const store = createMemoryRateLimitStore();
+    
+    expect(store.hit("caller", 2, WINDOW_MS, 1000).allowed).toBe(true);
+    expect(store.hit("caller", 2, WINDOW_MS, 2000).remaining).toBe(0);
+    
+    const refused = store.hit("caller", 2, WINDOW_MS, 3000);
+    expect(refused.allowed).toBe(false);
+    expect(refused.resetMs).toBe(WINDOW_MS - 2000);
+    
+    expect(store.hit("caller", 2, WINDOW_MS, 1000 + WINDOW_MS + 1).allowed).toBe(true);
+  });
+  
+  test("sweeps out keys whose window has emptied", () => {
+    const store = createMemoryRateLimitStore();
+    
+    for (let caller = 0; caller < 1000; caller++) {
+      store.hit(`caller-${caller}`, 10, WINDOW_MS, 1000 + caller);
+    }
+    expect(store.size()).toBe(1000);
+    
+    store.hit("late-caller", 10, WINDOW_MS, 1000 + 2 * WINDOW_MS);
+    expect(store.size()).toBe(1);
+  });
+  
+  test("keeps keys that still have requests in their window", () => {
+    const store = createMemoryRateLimitStore();
+    
+    store.hit("old", 10, WINDOW_MS, 0);
+    store.hit("recent", 10, WINDOW_MS, WINDOW_MS - 10);
+    store.hit("now", 10, WINDOW_MS, WINDOW_MS + 1);
+    
+    expect(store.size()).toBe(2);
+    expect(store.hit("recent", 1, WINDOW_MS, WINDOW_MS + 2).allowed).toBe(false);
+  });
+});
\ No newline at end of file
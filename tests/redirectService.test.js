@@ -0,0 +1,82 @@
+/**
+ * Tests for signing and verifying the URLs customers are redirected to
+ */
+
+const { buildRedirectUrl, verifyRedirectSignature } = require("../services/redirectService");
+const partnerService = require("../services/partnerService");
+const { partnerSchema } = require("../schemas/partnerSchemas");
+const { validatePayload } = require("../utils/schemaValidator");
+
+const outcome = { orderId: "ORD123456", status: "CREATED", partner: "TVS" };
+const CHECKOUT_URL = "https://www.tvscredit.com/checkout/done";
+
+describe("redirect signatures", () => {
+  test("verifies a URL signed by buildRedirectUrl", () => {
+    const url = buildRedirectUrl(CHECKOUT_URL, outcome);
+    
+    expect(new URL(url).searchParams.get("orderId")).toBe(outcome.orderId);
+    expect(verifyRedirectSignature(url, "TVS")).toBe(true);
+  });
+  
+  test("rejects a URL whose signed parameters were changed", () => {
+    const url = new URL(buildRedirectUrl(CHECKOUT_URL, outcome));
+    url.searchParams.set("status", "DISBURSED");
+    
+    expect(verifyRedirectSignature(url.toString(), "TVS")).toBe(false);
+  });
+  
+  test("rejects a URL without a signature", () => {
+    expect(verifyRedirectSignature(`${CHECKOUT_URL}?orderId=ORD123456&status=CREATED`, "TVS")).toBe(false);
+  });
+  
+  test("rejects a multi-byte signature of the expected string length", () => {
+    const url = new URL(buildRedirectUrl(CHECKOUT_URL, outcome));
+    url.searchParams.set("signature", "é".repeat(64));
+    
+    expect(() => verifyRedirectSignature(url.toString(), "TVS")).not.toThrow();
+    expect(verifyRedirectSignature(url.toString(), "TVS")).toBe(false);
+  });
+  
+  test("leaves URLs unsigned for partners that did not opt in", () => {
+    expect(buildRedirectUrl(CHECKOUT_URL, { ...outcome, partner: null })).toBe(CHECKOUT_URL);
+  });
+});
+
+describe("per-partner redirect secrets", () => {
+  beforeAll(() => {
+    const validation = validatePayload(partnerSchema, {
+      code: "ACME",
+      redirect: {
+        allowlist: [{ origin: "https://www.tvscredit.com", paths: ["/*"] }],
+        signed: true,
+        secret: "acme-redirect-signing-secret"
+      }
+    });
+    
+    partnerService.createPartner(validation.value);
+  });
+  
+  test("rejects one partner's signature when verified for another", () => {
+    const tvsUrl = buildRedirectUrl(CHECKOUT_URL, outcome);
+    const acmeUrl = buildRedirectUrl(CHECKOUT_URL, { ...outcome, partner: "ACME" });
+    
+    expect(verifyRedirectSignature(acmeUrl, "ACME")).toBe(true);
+    expect(verifyRedirectSignature(tvsUrl, "ACME")).toBe(false);
+    expect(verifyRedirectSignature(acmeUrl, "TVS")).toBe(false);
+  });
+  
+  test("rejects a signature for an unregistered partner", () => {
+    expect(verifyRedirectSignature(buildRedirectUrl(CHECKOUT_URL, outcome), "NOBODY")).toBe(false);
+  });
+  
+  test("requires a secret from partners that sign their redirects", () => {
+    const validation = validatePayload(partnerSchema, { code: "BETA", redirect: { signed: true } });
+    
+    expect(validation.isValid).toBe(false);
+    expect(validation.fieldErrors[0].path).toBe("redirect.secret");
+  });
+  
+  test("redacts the redirect secret from the partner details", () => {
+    expect(partnerService.getPartnerDetails("ACME").redirect.secret).toBe("[REDACTED]");
+  });
+});
\ No newline at end of file
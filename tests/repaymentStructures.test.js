@@ -0,0 +1,106 @@
+/**
+ * Tests for moratorium, step and balloon structures in /api/loan/calculate:
+ * negative amortization and the structure rules of each product
+ */
+
+const { request, app } = require("./support/api");
+
+const calculate = (body) => request(app).post("/api/loan/calculate").send(body);
+
+describe("structure amortization", () => {
+  test("rejects a step-up whose first installment is below its interest", async () => {
+    const response = await calculate({
+      loanAmount: 1000000,
+      roi: 12,
+      tenure: 84,
+      structure: { step: { type: "up", percent: 25, everyMonths: 6 } }
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E009");
+    expect(response.body.data.fieldErrors[0].path).toBe("structure");
+  });
+  
+  test("accepts a step-up that repays principal from the first installment", async () => {
+    const response = await calculate({
+      loanAmount: 1000000,
+      roi: 12,
+      tenure: 84,
+      structure: { step: { type: "up", percent: 5, everyMonths: 12 } }
+    });
+    
+    expect(response.status).toBe(200);
+    response.body.data.schedule.forEach((row) => {
+      expect(row.principalPaid).toBeGreaterThan(0);
+      expect(row.balance).toBeLessThan(1000000);
+    });
+  });
+});
+
+describe("product structure rules", () => {
+  const stepUp = { type: "up", percent: 15, everyMonths: 12 };
+  
+  test("applies the product's step limit rather than the global one", async () => {
+    const twoWheeler = await calculate({
+      productCode: "TWO_WHEELER",
+      loanAmount: 100000,
+      roi: 12,
+      tenure: 36,
+      structure: { step: stepUp }
+    });
+    const education = await calculate({
+      productCode: "EDUCATION",
+      loanAmount: 100000,
+      roi: 12,
+      tenure: 36,
+      structure: { step: stepUp }
+    });
+    
+    expect(twoWheeler.status).toBe(400);
+    expect(twoWheeler.body.data.fieldErrors[0].path).toBe("structure.step.percent");
+    expect(education.status).toBe(200);
+  });
+  
+  test("rejects a structure the product does not offer", async () => {
+    const response = await calculate({
+      productCode: "EDUCATION",
+      loanAmount: 100000,
+      roi: 12,
+      tenure: 36,
+      structure: { balloon: { amount: 10000 } }
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0]).toMatchObject({
+      path: "structure.balloon",
+      message: "structure.balloon is not offered for this product"
+    });
+  });
+  
+  test("rejects any structure for a product without structure rules", async () => {
+    const response = await calculate({
+      productCode: "PERSONAL",
+      loanAmount: 100000,
+      roi: 12,
+      tenure: 36,
+      structure: { moratorium: { type: "interestOnly", months: 3 } }
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0].message).toBe("structure is not offered for this product");
+  });
+  
+  test("holds the loan to the product's tenures", async () => {
+    const response = await calculate({ productCode: "EDUCATION", loanAmount: 100000, roi: 12, tenure: 30 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.errorCode).toBe("E004");
+  });
+  
+  test("rejects an unknown productCode", async () => {
+    const response = await calculate({ productCode: "YACHT", loanAmount: 100000, roi: 12, tenure: 36 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0].path).toBe("productCode");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Tests for partner request body signatures and nonce replay protection on
+ * fkApiServices.do
+ */
+
+const { request, app, offerData, tokenFor, createPartner } = require("./support/api");
+const { signRequest } = require("../middleware/signatureMiddleware");
+
+const TVS_SECRET = "tvs-request-signing-secret";
+
+/**
+ * Sends a signed loanStatus call, signing the exact bytes sent
+ * 
+ * @param {String} token - Access token
+ * @param {Object} overrides - Signing secret, timestamp or nonce to use
+ * @returns {Promise<Object>} supertest response
+ */
+const signedStatusCall = (token, { secret = TVS_SECRET, ...overrides } = {}) => {
+  const body = JSON.stringify({ token, data: { orderId: offerData.orderId } });
+  const timestamp = overrides.timestamp || String(Math.floor(Date.now() / 1000));
+  const nonce = overrides.nonce || `nonce-${Math.random().toString(36).slice(2)}`;
+  
+  return request(app)
+    .post("/fkApiServices.do?action=loanStatus")
+    .set("Content-Type", "application/json")
+    .set("X-Timestamp", timestamp)
+    .set("X-Nonce", nonce)
+    .set("X-Signature", signRequest(secret, timestamp, nonce, body))
+    .send(body);
+};
+
+describe("request signatures", () => {
+  let tvs;
+  
+  beforeAll(async () => {
+    tvs = await tokenFor("demo-partner");
+  });
+  
+  test("accepts a correctly signed request", async () => {
+    const response = await signedStatusCall(tvs);
+    
+    // The offer does not exist; reaching the service means the signature passed
+    expect(response.status).toBe(404);
+  });
+  
+  test("rejects a request signed with another secret", async () => {
+    const response = await signedStatusCall(tvs, { secret: "some-other-signing-secret" });
+    
+    expect(response.status).toBe(401);
+    expect(response.body.data.errorCode).toBe("E013");
+  });
+  
+  test("rejects a timestamp outside the allowed skew", async () => {
+    const response = await signedStatusCall(tvs, {
+      timestamp: String(Math.floor(Date.now() / 1000) - 3600)
+    });
+    
+    expect(response.status).toBe(401);
+    expect(response.body.data.errorCode).toBe("E014");
+  });
+  
+  test("rejects a replayed nonce", async () => {
+    const first = await signedStatusCall(tvs, { nonce: "replayed-nonce" });
+    const replay = await signedStatusCall(tvs, { nonce: "replayed-nonce" });
+    
+    expect(first.status).toBe(404);
+    expect(replay.status).toBe(401);
+    expect(replay.body.data.errorCode).toBe("E015");
+  });
+  
+  test("requires signatures from partners that must sign", async () => {
+    const admin = await tokenFor("demo-admin");
+    
+    await createPartner(admin, {
+      code: "SIGNER",
+      clients: [{ clientId: "signer-1", clientSecret: "signer-1-secret" }],
+      requestSigning: { secret: "signer-request-signing-secret", required: true }
+    });
+    
+    const response = await request(app)
+      .post("/fkApiServices.do?action=loanStatus")
+      .send({ token: await tokenFor("signer-1"), data: { orderId: offerData.orderId } });
+    
+    expect(response.status).toBe(401);
+    expect(response.body.data.errorCode).toBe("E012");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Tests for the CSV and HTML exports of /api/loan/calculate and how their
+ * format is chosen
+ */
+
+const { request, app } = require("./support/api");
+
+const loan = { loanAmount: 100000, roi: 12, tenure: 12 };
+
+const calculate = (query = "") => request(app).post(`/api/loan/calculate${query}`);
+
+describe("schedule export", () => {
+  test("exports the chosen CSV columns with the locale's decimal comma quoted", async () => {
+    const response = await calculate("?format=csv&columns=month,emi,balance&locale=de-DE").send(loan);
+    const lines = response.text.split("\r\n");
+    
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(response.headers["content-disposition"]).toContain("repayment-schedule.csv");
+    expect(lines[0]).toBe("Month,EMI,Balance");
+    expect(lines[1]).toBe("1,\"8884,88\",\"92115,12\"");
+    expect(lines).toHaveLength(loan.tenure + 2);
+  });
+  
+  test("negotiates the format from the Accept header", async () => {
+    const csv = await calculate().set("Accept", "text/csv").send(loan);
+    const json = await calculate().send(loan);
+    
+    expect(csv.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(json.headers["content-type"]).toMatch(/^application\/json/);
+    expect(json.headers.vary).toContain("Accept");
+  });
+  
+  test("lets ?format= override the Accept header", async () => {
+    const response = await calculate("?format=json").set("Accept", "text/html").send(loan);
+    
+    expect(response.headers["content-type"]).toMatch(/^application\/json/);
+  });
+  
+  test("escapes partner-supplied charge names in the HTML plan", async () => {
+    const response = await calculate("?format=html").send({
+      ...loan,
+      otherCharges: [{ name: "<script>alert(\"fee\")</script>", amount: 250 }]
+    });
+    
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/html/);
+    expect(response.text).toContain("&lt;script&gt;alert(&quot;fee&quot;)&lt;/script&gt;");
+    expect(response.text).not.toContain("<script>");
+  });
+  
+  test("answers an unsupported ?format= with 406", async () => {
+    const response = await calculate("?format=pdf").send(loan);
+    
+    expect(response.status).toBe(406);
+    expect(response.body.data.errorCode).toBe("E007");
+  });
+  
+  test("answers an Accept header without a supported format with 406", async () => {
+    const response = await calculate().set("Accept", "application/pdf").send(loan);
+    
+    expect(response.status).toBe(406);
+    expect(response.body.data.errorCode).toBe("E007");
+  });
+  
+  test("rejects unknown CSV columns", async () => {
+    const response = await calculate("?format=csv&columns=month,colour").send(loan);
+    
+    expect(response.status).toBe(400);
+    expect(response.body.data.fieldErrors[0].path).toBe("columns.1");
+  });
+});
\ No newline at end of file
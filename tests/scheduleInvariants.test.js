@@ -0,0 +1,119 @@
+/**
+ * Property-style tests for the repayment schedules of every interest method
+ * 
+ * Loans are drawn from a seeded generator across the config.loan amount,
+ * tenure and ROI ranges, together with the range edges. For each one the
+ * schedule must repay exactly the loan amount, close at a zero balance and
+ * hold only whole paise.
+ */
+
+const config = require("../config/config");
+const loanService = require("../services/loanService");
+const { INTEREST_METHODS } = require("../services/interestMethods");
+const { toMinorUnits, fromMinorUnits } = require("../utils/money");
+
+const RANDOM_CASES = 60;
+
+/**
+ * Deterministic pseudo-random generator (Park-Miller), so failures reproduce
+ * 
+ * @param {Number} seed - Starting seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const seededRandom = (seed) => {
+  let state = seed;
+  
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+/**
+ * Builds the loans to check: every combination of the range edges plus
+ * random loans from inside the ranges
+ * 
+ * @returns {Array} [loanAmount, roi, tenure] triples
+ */
+const loanCases = () => {
+  const { minAmount, maxAmount, minTenure, maxTenure, minRoi, maxRoi } = config.loan;
+  const random = seededRandom(20240601);
+  const cases = [];
+  
+  [minAmount, maxAmount].forEach((amount) => {
+    [minRoi, maxRoi].forEach((roi) => {
+      [minTenure, maxTenure].forEach((tenure) => cases.push([amount, roi, tenure]));
+    });
+  });
+  
+  for (let index = 0; index < RANDOM_CASES; index++) {
+    cases.push([
+      fromMinorUnits(toMinorUnits(minAmount + random() * (maxAmount - minAmount))),
+      Math.round((minRoi + random() * (maxRoi - minRoi)) * 100) / 100,
+      minTenure + Math.floor(random() * (maxTenure - minTenure + 1))
+    ]);
+  }
+  
+  return cases;
+};
+
+/**
+ * Checks whether a value is a whole number of paise
+ * 
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a finite number of whole paise
+ */
+const isWholePaise = (value) => {
+  return Number.isFinite(value) && Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+};
+
+const AMOUNT_FIELDS = ["emi", "principalPaid", "interestPaid", "balance", "brokenPeriodInterest"];
+
+describe.each(INTEREST_METHODS)("%s schedules", (interestMethod) => {
+  test.each(loanCases())("loan of %p at %p%% over %p months", (loanAmount, roi, tenure) => {
+    const calculation = loanService.calculateLoan(loanAmount, roi, tenure, interestMethod);
+    const { schedule } = calculation;
+    
+    expect(schedule).toHaveLength(tenure);
+    
+    const principalPaise = schedule.reduce((sum, row) => sum + toMinorUnits(row.principalPaid), 0);
+    expect(principalPaise).toBe(toMinorUnits(loanAmount));
+    
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+    
+    schedule.forEach((row) => {
+      AMOUNT_FIELDS
+        .filter((field) => row[field] !== undefined)
+        .forEach((field) => expect(isWholePaise(row[field])).toBe(true));
+      
+      expect(row.balance).toBeGreaterThanOrEqual(0);
+    });
+    
+    ["emi", "totalInterest", "totalAmount"].forEach((field) => {
+      expect(isWholePaise(calculation[field])).toBe(true);
+    });
+    
+    expect(toMinorUnits(calculation.totalAmount))
+      .toBe(toMinorUnits(loanAmount) + toMinorUnits(calculation.totalInterest));
+  });
+});
+
+describe("dated schedules", () => {
+  test.each(INTEREST_METHODS)("%s schedules with broken-period interest close exactly", (interestMethod) => {
+    const { maxAmount, maxTenure, maxRoi } = config.loan;
+    const calculation = loanService.calculateLoan(maxAmount, maxRoi, maxTenure, interestMethod, {
+      disbursalDate: new Date("2026-01-31T00:00:00Z"),
+      emiDueDay: 5
+    });
+    const { schedule } = calculation;
+    
+    expect(schedule.reduce((sum, row) => sum + toMinorUnits(row.principalPaid), 0))
+      .toBe(toMinorUnits(maxAmount));
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+    schedule.forEach((row) => {
+      AMOUNT_FIELDS
+        .filter((field) => row[field] !== undefined)
+        .forEach((field) => expect(isWholePaise(row[field])).toBe(true));
+    });
+  });
+});
\ No newline at end of file
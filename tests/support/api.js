@@ -0,0 +1,66 @@
+/**
+ * Helpers for exercising the app over HTTP in tests
+ */
+
+const request = require("supertest");
+const app = require("../../index");
+
+// Loan offer that passes validation for the TVS partner of config/environments/test.json
+const offerData = {
+  orderId: "ORD123456",
+  transactionId: "TXN1234",
+  tvsTransactionId: "TVS1",
+  loanAmount: 50000,
+  roi: 12,
+  tenure: 12,
+  downpayment: 0,
+  processingFee: 100
+};
+
+/**
+ * Issues an access token for an API client
+ * 
+ * @param {String} clientId - Client ID
+ * @param {String} clientSecret - Client secret (defaults to "<clientId>-secret")
+ * @returns {Promise<String>} Access token
+ */
+const tokenFor = async (clientId, clientSecret = `${clientId}-secret`) => {
+  const response = await request(app).post("/api/auth/token").send({ clientId, clientSecret });
+  
+  return response.body.data.token;
+};
+
+/**
+ * Calls an fkApiServices.do action
+ * 
+ * @param {String} action - Action name
+ * @param {String} token - Access token
+ * @param {Object} data - Request data
+ * @returns {Promise<Object>} supertest response
+ */
+const callAction = (action, token, data) => {
+  return request(app).post(`/fkApiServices.do?action=${action}`).send({ token, data });
+};
+
+/**
+ * Registers a partner through the admin API
+ * 
+ * @param {String} adminToken - Token of an admin client
+ * @param {Object} partner - Partner definition
+ * @returns {Promise<Object>} supertest response
+ */
+const createPartner = (adminToken, partner) => {
+  return request(app)
+    .post("/api/admin/partners")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send(partner);
+};
+
+module.exports = {
+  app,
+  request,
+  offerData,
+  tokenFor,
+  callAction,
+  createPartner
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Tests webhook delivery against a local stub of a partner's callback server
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const config = require("../config/config");
+const webhookService = require("../services/webhookService");
+const { request, app, offerData, tokenFor, callAction } = require("./support/api");
+
+const WEBHOOK_SECRET = "stub-webhook-secret-0001";
+
+describe("webhook delivery", () => {
+  let server;
+  let received;
+  let replies;
+  let admin;
+  let partner;
+  let orderNumber = 100000;
+  
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        
+        const { status, delayMs = 0 } = replies.shift() || { status: 200 };
+        setTimeout(() => res.writeHead(status).end(), delayMs);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    
+    admin = await tokenFor("demo-admin");
+    partner = await tokenFor("demo-partner");
+    
+    await request(app)
+      .patch("/api/admin/partners/TVS")
+      .set("Authorization", `Bearer ${admin}`)
+      .send({
+        webhook: {
+          url: `http://127.0.0.1:${server.address().port}/hooks`,
+          secret: WEBHOOK_SECRET,
+          events: ["offer.created"]
+        }
+      });
+  });
+  
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+  
+  beforeEach(() => {
+    received = [];
+    replies = [];
+  });
+  
+  /**
+   * Makes a new offer, which queues an offer.created delivery
+   * 
+   * @returns {Promise<Object>} The queued delivery
+   */
+  const queueDelivery = async () => {
+    orderNumber += 1;
+    await callAction("loanOffer", partner, {
+      ...offerData,
+      orderId: `ORD${orderNumber}`,
+      transactionId: `TXN${orderNumber}`,
+      tvsTransactionId: `TVS${orderNumber}`
+    });
+    
+    return webhookService.listDeliveries({ limit: 1 }).deliveries[0];
+  };
+  
+  test("retries failures with exponential backoff until delivered", async () => {
+    const { initialBackoffMs } = config.webhooks;
+    const delivery = await queueDelivery();
+    replies = [{ status: 500 }, { status: 503 }, { status: 200 }];
+    
+    let now = Date.now();
+    const [first] = await webhookService.dispatchDueDeliveries(now);
+    
+    expect(first.status).toBe("PENDING");
+    expect(first.lastError).toBe("HTTP 500");
+    
+    // Not yet due: nothing is attempted before the backoff has passed
+    expect(await webhookService.dispatchDueDeliveries(now + initialBackoffMs - 1000)).toEqual([]);
+    
+    now = new Date(first.nextAttemptAt).getTime();
+    const [second] = await webhookService.dispatchDueDeliveries(now);
+    
+    expect(second.attempts).toBe(2);
+    expect(new Date(second.nextAttemptAt).getTime() - new Date(second.updatedAt).getTime())
+      .toBe(initialBackoffMs * 2);
+    
+    const [third] = await webhookService.dispatchDueDeliveries(new Date(second.nextAttemptAt).getTime());
+    
+    expect(third.status).toBe("DELIVERED");
+    expect(third.attempts).toBe(3);
+    expect(third.history.map((attempt) => attempt.statusCode)).toEqual([500, 503, 200]);
+    expect(received).toHaveLength(3);
+    expect(received.every((call) => call.headers["x-webhook-id"] === delivery.id)).toBe(true);
+  });
+  
+  test("signs each delivery with the partner's webhook secret", async () => {
+    await queueDelivery();
+    await webhookService.dispatchDueDeliveries();
+    
+    const [{ headers, body }] = received;
+    const [, timestamp, signature] = headers["x-webhook-signature"].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+    
+    expect(signature).toBe(expected);
+    expect(JSON.parse(body).type).toBe("offer.created");
+  });
+  
+  test("moves a delivery to the dead-letter list after its last attempt, and redelivers it", async () => {
+    const delivery = await queueDelivery();
+    replies = Array.from({ length: config.webhooks.maxAttempts }, () => ({ status: 500 }));
+    
+    let latest = delivery;
+    
+    while (latest.status === "PENDING") {
+      [latest] = await webhookService.dispatchDueDeliveries(new Date(latest.nextAttemptAt).getTime());
+    }
+    
+    expect(latest.status).toBe("DEAD");
+    expect(latest.attempts).toBe(config.webhooks.maxAttempts);
+    
+    const response = await request(app)
+      .post(`/api/admin/webhooks/${delivery.id}/redeliver`)
+      .set("Authorization", `Bearer ${admin}`);
+    
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({ status: "PENDING", attempts: 0 });
+    
+    const [redelivered] = await webhookService.dispatchDueDeliveries();
+    expect(redelivered.status).toBe("DELIVERED");
+  });
+  
+  test("refuses to redeliver while an attempt is in flight", async () => {
+    const delivery = await queueDelivery();
+    replies = [{ status: 200, delayMs: 200 }];
+    
+    const dispatch = webhookService.dispatchDueDeliveries();
+    const refused = webhookService.redeliver(delivery.id);
+    const [attempted] = await dispatch;
+    
+    expect(refused.errorCode).toBe(config.errorCodes.conflict);
+    expect(attempted.status).toBe("DELIVERED");
+    expect(webhookService.getDelivery(delivery.id).status).toBe("DELIVERED");
+    expect(webhookService.redeliver(delivery.id).delivery.status).toBe("PENDING");
+  });
+  
+  test("reports unknown deliveries", async () => {
+    const response = await request(app)
+      .post("/api/admin/webhooks/unknown/redeliver")
+      .set("Authorization", `Bearer ${admin}`);
+    
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("webhook dispatcher", () => {
+  afterEach(() => {
+    webhookService.stopDispatcher();
+    jest.useRealTimers();
+  });
+  
+  test("runs a single periodic dispatch until stopped", () => {
+    jest.useFakeTimers();
+    
+    webhookService.startDispatcher();
+    webhookService.startDispatcher();
+    expect(jest.getTimerCount()).toBe(1);
+    
+    webhookService.stopDispatcher();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
\ No newline at end of file
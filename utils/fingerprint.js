@@ -0,0 +1,45 @@
+/**
+ * Utility functions for producing stable fingerprints of request payloads
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Serializes a value to JSON with object keys sorted, so two payloads with
+ * the same content always serialize identically regardless of key order
+ * 
+ * @param {*} value - Value to serialize
+ * @returns {String} Canonical JSON string
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    
+    return `{${keys
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Generates a SHA-256 fingerprint of a value's canonical form
+ * 
+ * @param {*} value - Value to fingerprint
+ * @returns {String} Hex-encoded hash
+ */
+const fingerprint = (value) => {
+  return crypto.createHash("sha256").update(canonicalize(value)).digest("hex");
+};
+
+module.exports = {
+  canonicalize,
+  fingerprint
+};
\ No newline at end of file
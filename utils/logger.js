@@ -0,0 +1,179 @@
+/**
+ * Shared structured logger
+ * 
+ * Writes one JSON object per line at config.logLevel (warn when running
+ * tests). Every line logged while handling a request carries that request's
+ * ID and partner, and sensitive values are masked before they are written:
+ * order and transaction IDs keep only their last four characters, tokens
+ * and secrets are withheld entirely, and URLs are cut down to their origin.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const winston = require("winston");
+const config = require("../config/config");
+
+const requestContext = new AsyncLocalStorage();
+
+// Keys whose values are partially masked
+const MASKED_KEYS = ["orderid", "transactionid", "tvstransactionid"];
+
+// Keys whose values are withheld entirely
+const REDACTED_KEYS = ["token", "authorization", "clientsecret", "secret", "signature", "password"];
+
+// Keys holding URLs, logged as their origin only
+const URL_KEYS = ["redirectionurl", "backredirectionurl", "url", "callbackurl"];
+
+// Patterns redacted inside free-text strings such as messages
+const TOKEN_PATTERN = /[A-Za-z0-9_-]{16,}\.[A-Za-z0-9_-]{16,}/g;
+const URL_PATTERN = /https?:\/\/[^\s"'<>]+/g;
+
+/**
+ * Masks all but the last four characters of an identifier
+ * 
+ * @param {*} value - Identifier
+ * @returns {String} Masked identifier
+ */
+const maskIdentifier = (value) => {
+  const text = String(value);
+  
+  return text.length <= 4 ? "****" : `${"*".repeat(text.length - 4)}${text.slice(-4)}`;
+};
+
+/**
+ * Reduces a URL to its origin
+ * 
+ * @param {String} url - URL to reduce
+ * @returns {String} Origin followed by a redaction marker
+ */
+const maskUrl = (url) => {
+  try {
+    return `${new URL(url).origin}/[REDACTED]`;
+  } catch (error) {
+    return "[REDACTED]";
+  }
+};
+
+/**
+ * Redacts tokens and URL paths appearing in free text
+ * 
+ * @param {String} text - Text to clean
+ * @returns {String} Text with tokens and URL paths removed
+ */
+const maskText = (text) => {
+  return text
+    .replace(URL_PATTERN, maskUrl)
+    .replace(TOKEN_PATTERN, "[REDACTED]");
+};
+
+/**
+ * Masks sensitive values in a log field, recursing into objects and arrays
+ * Errors are converted to plain objects so they survive JSON serialization
+ * 
+ * @param {*} value - Field value
+ * @param {String} key - Field name
+ * @returns {*} Masked copy of the value
+ */
+const maskValue = (value, key = "") => {
+  const normalizedKey = key.toLowerCase();
+  
+  if (value === null || value === undefined || value === "") {
+    return value;
+  }
+  
+  if (REDACTED_KEYS.includes(normalizedKey)) {
+    return "[REDACTED]";
+  }
+  
+  if (MASKED_KEYS.includes(normalizedKey) && typeof value !== "object") {
+    return maskIdentifier(value);
+  }
+  
+  if (URL_KEYS.includes(normalizedKey) && typeof value === "string") {
+    return maskUrl(value);
+  }
+  
+  if (value instanceof Error) {
+    return maskValue({ name: value.name, message: value.message, stack: value.stack });
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map((item) => maskValue(item));
+  }
+  
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [childKey, maskValue(child, childKey)])
+    );
+  }
+  
+  return typeof value === "string" ? maskText(value) : value;
+};
+
+/**
+ * Winston format that adds the current request ID, and the calling partner
+ * once it is known, to each line
+ */
+const addRequestContext = winston.format((info) => {
+  const context = requestContext.getStore();
+  
+  if (context && context.requestId) {
+    info.requestId = context.requestId;
+  }
+  
+  if (context && context.partner && info.partner === undefined) {
+    info.partner = context.partner;
+  }
+  
+  return info;
+});
+
+/**
+ * Winston format that masks sensitive values in each line
+ */
+const maskSensitive = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    if (key !== "level" && key !== "requestId") {
+      info[key] = maskValue(info[key], key);
+    }
+  });
+  
+  return info;
+});
+
+const logger = winston.createLogger({
+  // Tests only need warnings and errors; info lines would bury jest's output
+  level: config.environment === "test" ? "warn" : config.logLevel,
+  format: winston.format.combine(
+    addRequestContext(),
+    maskSensitive(),
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: "loan-offer-api" },
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Runs a function with a request context, so that everything it logs
+ * carries the context's request ID
+ * 
+ * @param {Object} context - Request context with a requestId
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * Returns the context of the request being handled, if any; authentication
+ * adds the caller's partner code to it
+ * 
+ * @returns {Object|undefined} Request context
+ */
+const getRequestContext = () => requestContext.getStore();
+
+module.exports = {
+  logger,
+  maskValue,
+  runWithRequestContext,
+  getRequestContext
+};
\ No newline at end of file
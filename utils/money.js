@@ -0,0 +1,86 @@
+/**
+ * Utility functions for exact money arithmetic
+ * 
+ * Schedule calculations are done in integer minor units (paise) so that
+ * sums are exact. Fractional paise produced by interest calculations are
+ * rounded half away from zero (0.5 paise rounds to 1 paise, -0.5 to -1).
+ * Amounts are converted back to rupees only when building responses.
+ */
+
+const MINOR_UNITS_PER_RUPEE = 100;
+
+/**
+ * Rounds a fractional amount of minor units to a whole number
+ * using the half-away-from-zero rounding mode
+ * 
+ * @param {Number} value - Amount in (fractional) minor units
+ * @returns {Number} Whole minor units
+ */
+const roundMinor = (value) => {
+  return Math.sign(value) * Math.round(Math.abs(value));
+};
+
+/**
+ * Converts a rupee amount to whole minor units
+ * The scaled amount is first cut to 15 significant digits, dropping the
+ * binary error of the multiplication before rounding (1.005 * 100 is
+ * 100.49999999999999, which must round to 101)
+ * 
+ * @param {Number} amount - Amount in rupees
+ * @returns {Number} Amount in paise
+ */
+const toMinorUnits = (amount) => {
+  const scaled = Number((Math.abs(amount) * MINOR_UNITS_PER_RUPEE).toPrecision(15));
+  
+  return Math.sign(amount) * Math.round(scaled);
+};
+
+/**
+ * Converts whole minor units back to a rupee amount
+ * 
+ * @param {Number} minorUnits - Amount in paise
+ * @returns {Number} Amount in rupees
+ */
+const fromMinorUnits = (minorUnits) => {
+  return minorUnits / MINOR_UNITS_PER_RUPEE;
+};
+
+/**
+ * Rounds a rupee amount to the nearest paisa
+ * 
+ * @param {Number} amount - Amount in rupees
+ * @returns {Number} Rounded amount in rupees
+ */
+const roundCurrency = (amount) => {
+  return fromMinorUnits(toMinorUnits(amount));
+};
+
+/**
+ * Adds rupee amounts exactly, by summing them in minor units
+ * 
+ * @param {...Number} amounts - Amounts in rupees
+ * @returns {Number} Total in rupees
+ */
+const addAmounts = (...amounts) => {
+  return fromMinorUnits(amounts.reduce((sum, amount) => sum + toMinorUnits(amount), 0));
+};
+
+/**
+ * Sums a rupee field across rows exactly
+ * 
+ * @param {Array} rows - Rows holding rupee amounts (e.g. schedule rows)
+ * @param {String} field - Field to sum
+ * @returns {Number} Total in rupees
+ */
+const sumAmounts = (rows, field) => {
+  return addAmounts(...rows.map((row) => row[field]));
+};
+
+module.exports = {
+  roundMinor,
+  toMinorUnits,
+  fromMinorUnits,
+  roundCurrency,
+  addAmounts,
+  sumAmounts
+};
\ No newline at end of file
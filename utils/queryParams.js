@@ -0,0 +1,120 @@
+/**
+ * Utility functions for parsing optional query string parameters
+ * Each parser returns undefined when the parameter is absent and null when
+ * it was supplied but could not be parsed, so callers can report it
+ */
+
+const config = require("../config/config");
+
+// Page size bounds of list endpoints; the limit bounds the entries read
+const PAGE_LIMITS = { minLimit: 1, maxLimit: 500 };
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an optional numeric query parameter
+ * 
+ * @param {String} value - Raw query string value
+ * @returns {Number|undefined|null} Parsed number, undefined if absent, null if invalid
+ */
+const parseNumberParam = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  
+  const parsed = Number(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Parses an optional date query parameter into an ISO string
+ * 
+ * @param {String} value - Raw query string value
+ * @returns {String|undefined|null} ISO date, undefined if absent, null if invalid
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+/**
+ * Parses an optional date query parameter that ends a range
+ * A date without a time covers that whole day, so it is read as the last
+ * millisecond of the day (UTC) rather than its midnight
+ * 
+ * @param {String} value - Raw query string value
+ * @returns {String|undefined|null} ISO date, undefined if absent, null if invalid
+ */
+const parseEndDateParam = (value) => {
+  const parsed = parseDateParam(value);
+  
+  if (!parsed || !DATE_ONLY_PATTERN.test(value)) {
+    return parsed;
+  }
+  
+  return new Date(new Date(parsed).getTime() + MS_PER_DAY - 1).toISOString();
+};
+
+/**
+ * Parses an optional query parameter restricted to a set of values
+ * 
+ * @param {String} value - Raw query string value
+ * @param {Array} allowedValues - Accepted values
+ * @returns {String|undefined|null} The value, undefined if absent, null if not allowed
+ */
+const parseEnumParam = (value, allowedValues) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  
+  return allowedValues.includes(value) ? value : null;
+};
+
+/**
+ * Finds the first parameter that was supplied but could not be parsed
+ * 
+ * @param {Object} params - Parsed parameters keyed by name
+ * @returns {String|undefined} Name of the invalid parameter, if any
+ */
+const findInvalidParam = (params) => {
+  return Object.keys(params).find((key) => params[key] === null);
+};
+
+/**
+ * Finds the first paging parameter outside its bounds
+ * 
+ * @param {Object} params - Parsed limit and offset, either may be undefined
+ * @returns {Object|null} Error code and message for the parameter, or null
+ *   if both are in range
+ */
+const findPagingViolation = ({ limit, offset }) => {
+  if (limit !== undefined && (limit < PAGE_LIMITS.minLimit || limit > PAGE_LIMITS.maxLimit)) {
+    return {
+      errorCode: config.errorCodes.invalidLoanAmount,
+      message: `limit must be between ${PAGE_LIMITS.minLimit} and ${PAGE_LIMITS.maxLimit}`
+    };
+  }
+  
+  if (offset !== undefined && offset < 0) {
+    return {
+      errorCode: config.errorCodes.invalidTenure,
+      message: "offset must be a non-negative number"
+    };
+  }
+  
+  return null;
+};
+
+module.exports = {
+  parseNumberParam,
+  parseDateParam,
+  parseEndDateParam,
+  parseEnumParam,
+  findInvalidParam,
+  findPagingViolation
+};
\ No newline at end of file
@@ -3,6 +3,7 @@
  */
 
 const config = require("../config/config");
+const { buildRedirectUrl } = require("../services/redirectService");
 
 /**
  * Generates a standardized success response
@@ -24,14 +25,16 @@ const successResponse = (data = {}, message = "Success") => {
  * 
  * @param {String} errorCode - Error code from config
  * @param {String} errorMessage - Human-readable error message
+ * @param {Object} details - Optional extra fields to include in the data
  * @returns {Object} Formatted error response
  */
-const errorResponse = (errorCode, errorMessage) => {
+const errorResponse = (errorCode, errorMessage, details = {}) => {
   return {
     data: {
       errorMessage,
       errorCode,
-      redirectionURL: ""
+      redirectionURL: "",
+      ...details
     },
     statusMessage: "Error",
     statusCode: config.statusCodes.error
@@ -48,6 +51,18 @@ const validationError = (errorMessage) => {
   return errorResponse(config.errorCodes.missingParameters, errorMessage);
 };
 
+/**
+ * Generates a validation error response listing every field error
+ * The top-level error code and message are those of the first field error,
+ * so clients that only read errorCode/errorMessage keep working
+ * 
+ * @param {Array} fieldErrors - Field errors as { path, code, message }
+ * @returns {Object} Formatted validation error response
+ */
+const fieldValidationError = (fieldErrors) => {
+  return errorResponse(fieldErrors[0].code, fieldErrors[0].message, { fieldErrors });
+};
+
 /**
  * Generates a standardized authentication error response
  * 
@@ -74,15 +89,18 @@ const serverError = (error) => {
 
 /**
  * Generates a standard redirection response
+ * The URL must already have passed the partner's allowlist; for partners
+ * that opted in, signed orderId/status/timestamp parameters are appended
  * 
  * @param {String} redirectionURL - URL to redirect the client to
+ * @param {Object} outcome - orderId, status and partner of the request
  * @returns {Object} Formatted success response with redirection URL
  */
-const redirectionResponse = (redirectionURL) => {
+const redirectionResponse = (redirectionURL, outcome = {}) => {
   return successResponse({
     errorMessage: "",
     errorCode: "",
-    redirectionURL
+    redirectionURL: buildRedirectUrl(redirectionURL, outcome)
   });
 };
 
@@ -90,6 +108,7 @@ module.exports = {
   successResponse,
   errorResponse,
   validationError,
+  fieldValidationError,
   authError,
   serverError,
   redirectionResponse
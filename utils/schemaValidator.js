@@ -0,0 +1,82 @@
+/**
+ * Utility for validating payloads against Joi schemas
+ * Collects every violation as a field error carrying its path, error code
+ * and message, rather than stopping at the first one
+ */
+
+const config = require("../config/config");
+
+// Fields whose violations have a dedicated error code
+const fieldErrorCodes = {
+  loanAmount: config.errorCodes.invalidLoanAmount,
+  tenure: config.errorCodes.invalidTenure,
+  roi: config.errorCodes.invalidRoi
+};
+
+// Joi error types that indicate a malformed value
+const formatErrorTypes = [
+  "string.pattern.base",
+  "string.isoDate",
+  "string.uri"
+];
+
+/**
+ * Maps a Joi error detail to one of the service's error codes
+ * 
+ * @param {Object} detail - Joi error detail
+ * @returns {String} Error code from config.errorCodes
+ */
+const errorCodeFor = (detail) => {
+  // object.missing: none of a set of alternative fields (e.g. orderId or
+  // transactionId) was sent
+  if (detail.type === "any.required" || detail.type === "object.missing") {
+    return config.errorCodes.missingParameters;
+  }
+  
+  if (detail.path.length === 1 && fieldErrorCodes[detail.path[0]]) {
+    return fieldErrorCodes[detail.path[0]];
+  }
+  
+  if (formatErrorTypes.includes(detail.type)) {
+    return config.errorCodes.invalidFormat;
+  }
+  
+  if (detail.type.endsWith(".base")) {
+    return config.errorCodes.invalidType;
+  }
+  
+  return config.errorCodes.invalidValue;
+};
+
+/**
+ * Validates a payload against a schema
+ * 
+ * @param {Object} schema - Joi schema
+ * @param {Object} payload - Payload to validate
+ * @param {Object} options - Validation options
+ * @param {String} options.pathPrefix - Prefix for reported paths (e.g. "data")
+ * @returns {Object} isValid flag, the converted value and the list of field
+ *   errors as { path, code, message }
+ */
+const validatePayload = (schema, payload, { pathPrefix } = {}) => {
+  const { error, value } = schema.validate(payload, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+  
+  if (!error) {
+    return { isValid: true, value, fieldErrors: [] };
+  }
+  
+  const fieldErrors = error.details.map((detail) => ({
+    path: [pathPrefix, ...detail.path].filter((part) => part !== undefined).join("."),
+    code: errorCodeFor(detail),
+    message: detail.message
+  }));
+  
+  return { isValid: false, value, fieldErrors };
+};
+
+module.exports = {
+  validatePayload
+};
\ No newline at end of file